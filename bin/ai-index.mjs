@@ -3,549 +3,562 @@
  * AI-Index v2.0: Universal file indexing for AI assistants
  *
  * Adds section index to large files so AI can read only relevant parts.
- * Supports: TypeScript, JavaScript, Python, Rust, Go, C#, Java, YAML, JSON
+ * Supports: TypeScript, JavaScript, Python, Rust, Go, C#, Java, Kotlin, Scala, YAML, JSON
  *
  * Usage:
- *   node scripts/ai-index.mjs <file>              # Index single file
- *   node scripts/ai-index.mjs <file> --reindex    # Update existing index
- *   node scripts/ai-index.mjs <file> --verify     # Check index validity
- *   node scripts/ai-index.mjs <file> --remove     # Remove index
- *   node scripts/ai-index.mjs --min-lines=200     # Only files with 200+ lines
+ *   ai-index generate <files...>                  # Create/update index
+ *   ai-index generate src/ --min-lines=200        # Whole tree, only files with 200+ lines
+ *   ai-index verify "lib/*.{ts,py}"               # Glob (respects .gitignore)
+ *   ai-index sync <files...>                      # Sync line numbers with the code
+ *   ai-index verify <files...>                    # Check index validity
+ *   ai-index remove <files...>                    # Remove index
  */
 
-import { readFile, writeFile, readdir, stat } from 'fs/promises';
-import { basename, extname, join } from 'path';
+import { readFile, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
+import { basename, relative, resolve, sep } from 'path';
+import {
+  parseIndex, stripIndex, canEmbedIndex, buildIndexedContent, formatTable,
+  findSections, scanRegions, detectSections, mergeWithMarkers, checkSections,
+  findChangedSections, hasHashes, mergeWithIndex,
+} from '../src/engine.mjs';
+import { collectFiles, selectFiles } from '../src/files.mjs';
+import { createConfigResolver, CONFIG_FILES, PLACEMENTS } from '../src/config.mjs';
+import { openSidecar, readSidecarEntry, hashContent } from '../src/sidecar.mjs';
+import {
+  findCompanion, readCompanion, buildCompanionContent, checkCompanion, isCompanionPath, findCompanionSource,
+  COMPANION_SUFFIX,
+} from '../src/companion.mjs';
+import { createIssue, applyIssueOptions, hasErrors, parseIssueCodes } from '../src/issues.mjs';
+import { REPORTERS, formatReport } from '../src/reporters.mjs';
+import { unifiedDiff } from '../src/diff.mjs';
+import { selectGitFiles, openGitIndex, installHook, uninstallHook } from '../src/git.mjs';
+import { watchFiles } from '../src/watch.mjs';
+import { DEFAULT_ESTIMATOR, loadVocabularyEstimator } from '../src/tokens.mjs';
+
+// Progress output; silenced for raw commands and machine-readable reports
+let log = console.log;
+
+// Where file content is read from and written to; --staged uses the git index
+let source = {
+  read: (filePath) => readFile(filePath, 'utf-8'),
+  write: (filePath, before, after) => writeFile(filePath, after),
+};
 
-// ============================================
-// Language Plugins Configuration
-// ============================================
-
-const LANGUAGE_PLUGINS = {
-  // TypeScript / JavaScript
-  ts: {
-    extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'],
-    indexFormat: 'jsdoc', // /** @ai-index ... */
-    regionStart: /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/#endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^import\s+/m, section: 'imports', priority: 1 },
-      { pattern: /^export\s+type\s+/m, section: 'types', priority: 2 },
-      { pattern: /^(?:export\s+)?interface\s+\w+State/m, section: 'types/state', priority: 3 },
-      { pattern: /^(?:export\s+)?interface\s+\w+Actions/m, section: 'types/actions', priority: 3 },
-      { pattern: /^(?:export\s+)?interface\s+/m, section: 'types', priority: 2 },
-      { pattern: /^(?:export\s+)?type\s+/m, section: 'types', priority: 2 },
-      { pattern: /^const\s+initial\w*\s*[=:]/m, section: 'state/initial', priority: 4 },
-      { pattern: /^export\s+const\s+use\w+Store\s*=/m, section: 'store', priority: 5 },
-      { pattern: /create<.*>\(\s*\(?/m, section: 'store', priority: 5 },
-      { pattern: /^export\s+const\s+select\w+/m, section: 'selectors', priority: 8 },
-      { pattern: /^export\s+function\s+use\w+/m, section: 'hooks', priority: 9 },
-    ]
-  },
+// Token vocabularies by path, each loaded once
+const vocabularies = new Map();
 
-  // Python
-  python: {
-    extensions: ['.py', '.pyw', '.pyi'],
-    indexFormat: 'docstring', // """ @ai-index ... """
-    regionStart: /^#\s*region\s*[:\s]*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^#\s*endregion/,
-    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^(?:from|import)\s+/m, section: 'imports', priority: 1 },
-      { pattern: /^class\s+\w+\s*\(/m, section: 'classes', priority: 3 },
-      { pattern: /^class\s+\w+Model\s*\(/m, section: 'models', priority: 2 },
-      { pattern: /^@dataclass/m, section: 'dataclasses', priority: 2 },
-      { pattern: /^@app\.(get|post|put|delete|patch)/m, section: 'routes', priority: 4 },
-      { pattern: /^@router\.(get|post|put|delete|patch)/m, section: 'routes', priority: 4 },
-      { pattern: /^def\s+test_/m, section: 'tests', priority: 5 },
-      { pattern: /^async\s+def\s+/m, section: 'async', priority: 3 },
-    ]
-  },
+/**
+ * Token estimator for a file: its --token-vocab, or undefined for the default
+ */
+function tokenEstimator(options) {
+  const path = options.tokenVocab;
+  if (!path) return undefined;
+  if (!vocabularies.has(path)) vocabularies.set(path, loadVocabularyEstimator(path));
+  return vocabularies.get(path);
+}
 
-  // Rust
-  rust: {
-    extensions: ['.rs'],
-    indexFormat: 'doc-comment', // //! @ai-index ...
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^use\s+/m, section: 'imports', priority: 1 },
-      { pattern: /^mod\s+/m, section: 'modules', priority: 2 },
-      { pattern: /^pub\s+struct\s+/m, section: 'structs', priority: 3 },
-      { pattern: /^pub\s+enum\s+/m, section: 'enums', priority: 3 },
-      { pattern: /^impl\s+/m, section: 'impl', priority: 4 },
-      { pattern: /^pub\s+fn\s+/m, section: 'functions', priority: 5 },
-      { pattern: /^#\[test\]/m, section: 'tests', priority: 6 },
-    ]
-  },
+/**
+ * Options shared by generate and sync for the Tokens column
+ */
+async function tokenOptions(options) {
+  return {
+    tokens: options.tokens ?? (options.tokenVocab ? true : undefined),
+    tokenEstimator: await tokenEstimator(options),
+  };
+}
 
-  // Go
-  go: {
-    extensions: ['.go'],
-    indexFormat: 'block-comment', // /* @ai-index ... */
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^import\s*\(/m, section: 'imports', priority: 1 },
-      { pattern: /^type\s+\w+\s+struct\s*\{/m, section: 'types', priority: 2 },
-      { pattern: /^type\s+\w+\s+interface\s*\{/m, section: 'interfaces', priority: 2 },
-      { pattern: /^func\s+\(\w+\s+\*?\w+\)/m, section: 'methods', priority: 3 },
-      { pattern: /^func\s+\w+/m, section: 'functions', priority: 4 },
-      { pattern: /^func\s+Test\w+/m, section: 'tests', priority: 5 },
-    ]
-  },
+// --dry-run / --check: record changes instead of writing them
+const preview = { active: false, showDiff: false, files: [] };
 
-  // C#
-  csharp: {
-    extensions: ['.cs'],
-    indexFormat: 'xml-doc', // /// <ai-index> ...
-    regionStart: /^\s*#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\s*#endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^using\s+/m, section: 'imports', priority: 1 },
-      { pattern: /^namespace\s+/m, section: 'namespace', priority: 2 },
-      { pattern: /^public\s+class\s+/m, section: 'classes', priority: 3 },
-      { pattern: /^public\s+interface\s+/m, section: 'interfaces', priority: 3 },
-      { pattern: /^public\s+enum\s+/m, section: 'enums', priority: 3 },
-      { pattern: /^\[Test\]/m, section: 'tests', priority: 5 },
-    ]
-  },
+const PLANNED_VERBS = { Added: 'add', Updated: 'update', Created: 'create', Synced: 'sync', Removed: 'remove' };
 
-  // Java
-  java: {
-    extensions: ['.java'],
-    indexFormat: 'javadoc', // /** @ai-index ... */
-    regionStart: /^\/\/\s*region\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: [
-      { pattern: /^import\s+/m, section: 'imports', priority: 1 },
-      { pattern: /^package\s+/m, section: 'package', priority: 0 },
-      { pattern: /^public\s+class\s+/m, section: 'classes', priority: 2 },
-      { pattern: /^public\s+interface\s+/m, section: 'interfaces', priority: 2 },
-      { pattern: /^public\s+enum\s+/m, section: 'enums', priority: 2 },
-      { pattern: /^@Test/m, section: 'tests', priority: 5 },
-    ]
-  },
+/**
+ * "Added" when writing, "Would add" in a preview
+ */
+function did(verb) {
+  return preview.active ? `Would ${PLANNED_VERBS[verb]}` : verb;
+}
 
-  // YAML
-  yaml: {
-    extensions: ['.yaml', '.yml'],
-    indexFormat: 'comment', // # @ai-index ...
-    regionStart: /^#\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^#\s*endregion/,
-    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-    autoPatterns: []
-  },
+/**
+ * Write a file, or in a preview record it (and print its diff with --dry-run)
+ */
+async function writeChange(filePath, before, after) {
+  if (!preview.active) {
+    const written = await source.write(filePath, before, after);
+    if (written?.workingTree === false) {
+      log(`   ↳ ${basename(filePath)} is partially staged: updated the index only`);
+    }
+    return;
+  }
 
-  // JSON
-  json: {
-    extensions: ['.json', '.json5', '.jsonc'],
-    indexFormat: 'key', // "_ai_index": { ... }
-    regionStart: null, // No region support in JSON
-    regionEnd: null,
-    sectionMarker: /"__section__(\w+)__"/,
-    autoPatterns: [
-      { pattern: /"nodes"\s*:\s*\{/m, section: 'nodes' },
-      { pattern: /"edges"\s*:\s*\{/m, section: 'edges' },
-      { pattern: /"config"\s*:\s*\{/m, section: 'config' },
-    ]
+  preview.files.push(filePath);
+  if (preview.showDiff) {
+    const name = relative(process.cwd(), filePath).split(sep).join('/');
+    console.log(unifiedDiff(before, after, { fromFile: `a/${name}`, toFile: `b/${name}` }));
   }
-};
+}
 
 // ============================================
-// Helpers
+// Main Functions
 // ============================================
 
-function getLanguagePlugin(filePath) {
-  const ext = extname(filePath).toLowerCase();
-  for (const [name, plugin] of Object.entries(LANGUAGE_PLUGINS)) {
-    if (plugin.extensions.includes(ext)) {
-      return { name, ...plugin };
+/**
+ * Section detection that keeps the existing header's descriptions and custom
+ * columns; `merge` holds the renamed and removed rows once it has run
+ */
+function mergingDetect(plugin, options) {
+  const merge = { renamed: [], removed: [] };
+  const detect = (body, { existingIndex, toBodyLine }) => {
+    Object.assign(merge, mergeWithIndex(detectSections(body, plugin, options), existingIndex?.sections, toBodyLine));
+    return merge.sections;
+  };
+  return { detect, merge };
+}
+
+/**
+ * Like mergingDetect, but rows follow their region markers
+ */
+function markerMerge(plugin) {
+  const merge = { renamed: [], removed: [] };
+  const detect = (body, { existingIndex, toBodyLine }) => {
+    Object.assign(merge, mergeWithMarkers(existingIndex.sections, body, plugin, toBodyLine));
+    return merge.sections;
+  };
+  return { detect, merge };
+}
+
+function logMerge(merge) {
+  for (const { from, to } of merge.renamed) log(`      ↳ renamed: "${from}" → "${to}" (description kept)`);
+  for (const name of merge.removed) log(`      ↳ removed: "${name}"`);
+}
+
+/**
+ * Apply --ignore/--strict, print the file's issues and return its result
+ */
+function reportVerify(filePath, found, options = {}) {
+  const issues = applyIssueOptions(found, options);
+  const valid = !hasErrors(issues);
+
+  if (issues.length > 0) {
+    log(`   ${valid ? '⚠️ ' : '❌'} ${basename(filePath)}: ${issues.length} issue(s)`);
+    for (const issue of issues) {
+      log(`      - ${issue.severity} ${issue.code}: ${issue.message}`);
     }
+  } else {
+    log(`   ✅ ${basename(filePath)}: Index valid`);
   }
-  return null;
-}
 
-function getFileType(filePath) {
-  const plugin = getLanguagePlugin(filePath);
-  return plugin ? plugin.name : 'unknown';
+  return { valid, issues };
 }
 
-function parseExistingIndex(content) {
-  const indexMatch = content.match(/\/\*\*\s*\n\s*\*\s*@ai-index[\s\S]*?\*\//);
-  if (!indexMatch) return null;
+async function indexFile(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const lines = content.split('\n');
+  const totalLines = lines.length;
 
-  const indexBlock = indexMatch[0];
-  const sections = {};
+  // Check minimum lines
+  if (options.minLines && totalLines < options.minLines) {
+    log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
+    return { skipped: true, reason: 'below-threshold' };
+  }
 
-  // Parse table rows
-  const tableRows = indexBlock.matchAll(/\|\s*([^\|]+?)\s*\|\s*(\d+)\s*\|\s*(\d+)\s*\|(?:\s*(\d+)\s*\|)?(?:\s*([^\|]*?)\s*\|)?/g);
-  for (const row of tableRows) {
-    const [, name, line, end, size, desc] = row;
-    if (name && !name.includes('Section') && !name.includes('---')) {
-      sections[name.trim()] = {
-        line: parseInt(line),
-        end: parseInt(end),
-        size: size ? parseInt(size) : parseInt(end) - parseInt(line),
-        desc: desc?.trim() || ''
-      };
+  const tokens = await tokenOptions(options);
+  if (options.minTokens) {
+    const count = (tokens.tokenEstimator || DEFAULT_ESTIMATOR).count(content);
+    if (count < options.minTokens) {
+      log(`   ⏭️  ${basename(filePath)}: ${count} tokens (below threshold)`);
+      return { skipped: true, reason: 'below-threshold' };
     }
   }
 
+  const plugin = options.plugin;
+  if (!plugin) {
+    log(`   ⚠️  ${basename(filePath)}: Unsupported file type`);
+    return { skipped: true, reason: 'unsupported' };
+  }
+
+  if (!canEmbedIndex(plugin.indexFormat)) {
+    log(`   ⚠️  ${basename(filePath)}: ${plugin.name} files cannot hold an embedded index (use --sidecar)`);
+    return { skipped: true, reason: 'no-embed' };
+  }
+
+  // Detect sections on the content without header, so lines account for the new one
+  const { detect, merge } = mergingDetect(plugin, options);
+  const result = buildIndexedContent(content, plugin.indexFormat, detect,
+    { placement: options.placement, hash: options.hash, ...tokens });
+
+  if (!result.changed) {
+    log(`   ✅ ${basename(filePath)}: Index up to date (${result.sections.length} sections)`);
+    return { success: true, sections: result.sections.length, totalLines: result.totalLines, action: 'Unchanged' };
+  }
+
+  await writeChange(filePath, content, result.content);
+
+  const action = result.existingIndex ? 'Updated' : 'Added';
+  log(`   ✅ ${basename(filePath)}: ${did(action)} index (${result.sections.length} sections, ${result.totalLines} lines)`);
+  logMerge(merge);
+
   return {
-    raw: indexBlock,
-    sections,
-    startIndex: indexMatch.index,
-    endIndex: indexMatch.index + indexBlock.length
+    success: true,
+    sections: result.sections.length,
+    totalLines: result.totalLines,
+    action,
+    renamed: merge.renamed,
+    removed: merge.removed,
   };
 }
 
-function findExplicitSections(content, plugin) {
-  const sections = [];
-  const lines = content.split('\n');
+/**
+ * Problems with the file's companion, or null if it has none
+ *
+ * Companion ranges are compared with the #region markers and the stored
+ * index (header or sidecar entry); without either, with detected sections.
+ */
+async function verifyCompanion(filePath, content, indexed, options) {
+  const companionPath = await findCompanion(filePath);
+  if (!companionPath) return null;
 
-  let currentSection = null;
-  let currentDesc = null;
-  let sectionStart = null;
-
-  // Use plugin-specific patterns or fallback to TypeScript patterns
-  const regionStart = plugin?.regionStart || /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/;
-  const regionEnd = plugin?.regionEnd || /^\/\/#endregion/;
-  const sectionMarker = plugin?.sectionMarker || /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNum = i + 1;
-
-    // Check for region marker (language-specific)
-    if (regionStart) {
-      const regionMatch = line.match(regionStart);
-      if (regionMatch) {
-        // Close previous section
-        if (currentSection) {
-          sections.push({
-            name: currentSection,
-            line: sectionStart,
-            end: lineNum - 1,
-            desc: currentDesc || ''
-          });
-        }
-        currentSection = regionMatch[1].trim();
-        currentDesc = regionMatch[2]?.trim() || '';
-        sectionStart = lineNum;
-        continue;
-      }
-    }
+  const companion = await readCompanion(companionPath);
+  if (!companion) {
+    return [{ ...createIssue('AI000', `Companion ${basename(companionPath)}: cannot be read`), file: companionPath }];
+  }
 
-    // Check for endregion (language-specific)
-    if (regionEnd && line.match(regionEnd)) {
-      if (currentSection) {
-        sections.push({
-          name: currentSection,
-          line: sectionStart,
-          end: lineNum,
-          desc: currentDesc || ''
-        });
-        currentSection = null;
-        currentDesc = null;
-        sectionStart = null;
-      }
-      continue;
-    }
+  const markers = findSections(content, options.plugin);
+  let reference = { ...indexed, ...Object.fromEntries(markers.map(s => [s.name, s])) };
+  if (Object.keys(reference).length === 0) {
+    reference = Object.fromEntries(detectSections(content, options.plugin, options).map(s => [s.name, s]));
+  }
 
-    // Check for section marker (language-specific)
-    if (sectionMarker) {
-      const markerMatch = line.match(sectionMarker);
-      if (markerMatch) {
-        // Close previous section
-        if (currentSection) {
-          sections.push({
-            name: currentSection,
-            line: sectionStart,
-            end: lineNum - 1,
-            desc: currentDesc || ''
-          });
-        }
-        currentSection = markerMatch[1].trim();
-        currentDesc = '';
-        sectionStart = lineNum;
-      }
-    }
+  return checkCompanion(companion.sections, reference, content.split('\n').length, options)
+    .map(issue => ({ ...issue, message: `Companion ${basename(companionPath)}: ${issue.message}`, file: companionPath }));
+}
+
+/**
+ * Companions whose source file no longer exists
+ */
+async function findOrphanCompanions(patterns) {
+  const { files } = await collectFiles(patterns, { filter: isCompanionPath });
+  const orphans = [];
+
+  for (const file of files.filter(isCompanionPath)) {
+    if (!await findCompanionSource(file)) orphans.push(file);
   }
+  return orphans;
+}
 
-  // Close last section
-  if (currentSection) {
-    sections.push({
-      name: currentSection,
-      line: sectionStart,
-      end: lines.length,
-      desc: currentDesc || ''
-    });
+async function verifyIndex(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const plugin = options.plugin;
+
+  // Files below the threshold are not expected to carry an index
+  const totalLines = content.split('\n').length;
+  if (options.minLines && totalLines < options.minLines) {
+    log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
+    return { skipped: true, reason: 'below-threshold' };
   }
+  const existingIndex = parseIndex(content, plugin?.indexFormat);
+  const companionIssues = await verifyCompanion(filePath, content, existingIndex?.sections || {}, options);
 
-  return sections;
+  // A companion alone is a valid index (companion --companion-only)
+  if (!existingIndex && !companionIssues) {
+    return reportVerify(filePath, [createIssue('AI001', 'No index found')], options);
+  }
+
+  const issues = existingIndex ? checkSections(content, plugin, existingIndex.sections, options) : [];
+  issues.push(...companionIssues || []);
+  return reportVerify(filePath, issues, options);
 }
 
-function detectSectionsAuto(content, plugin) {
-  const sections = [];
-  const lines = content.split('\n');
-  const patterns = plugin?.autoPatterns || [];
+async function removeIndex(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const existingIndex = parseIndex(content, options.plugin?.indexFormat);
 
-  // Track detected sections with their line numbers
-  const detected = [];
+  if (!existingIndex) {
+    log(`   ⏭️  ${basename(filePath)}: No index to remove`);
+    return { removed: false };
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const lineNum = i + 1;
-    const lineContent = lines[i];
+  const newContent = stripIndex(content, existingIndex);
 
-    for (const { pattern, section, priority } of patterns) {
-      if (pattern.test(lineContent)) {
-        detected.push({ section, line: lineNum, priority: priority || 5 });
-        break; // Only first match per line
-      }
-    }
+  await writeChange(filePath, content, newContent);
+  log(`   ✅ ${basename(filePath)}: ${did('Removed')} index`);
+  return { removed: true };
+}
+
+async function syncIndex(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const plugin = options.plugin;
+  const existingIndex = parseIndex(content, plugin?.indexFormat);
+
+  if (!existingIndex) {
+    log(`   ⏭️  ${basename(filePath)}: No index to sync (run "ai-index generate" first)`);
+    return { skipped: true, reason: 'no-index' };
   }
 
-  // Group consecutive lines with same section
-  let currentSection = null;
-  let sectionStart = null;
+  // Marker rows move with their markers. Without markers (scanner sections)
+  // the recorded ranges can't be moved: detect them again, keeping descriptions
+  const markers = findSections(content, plugin).length > 0;
+  const { detect, merge } = markers ? markerMerge(plugin) : mergingDetect(plugin, options);
 
-  for (let i = 0; i < lines.length; i++) {
-    const lineNum = i + 1;
-    const detection = detected.find(d => d.line === lineNum);
+  // Recorded hashes stay: they mark the content the descriptions were written for
+  const result = buildIndexedContent(content, plugin.indexFormat, detect,
+    { keepHashes: true, ...await tokenOptions(options) });
 
-    if (detection) {
-      if (currentSection && currentSection !== detection.section) {
-        sections.push({
-          name: currentSection,
-          line: sectionStart,
-          end: lineNum - 1
-        });
-      }
-      if (currentSection !== detection.section) {
-        currentSection = detection.section;
-        sectionStart = lineNum;
-      }
-    }
+  if (!result.changed) {
+    log(`   ✅ ${basename(filePath)}: Already in sync`);
+    return { success: true, changed: false };
+  }
+
+  const previous = existingIndex.sections;
+  const renamed = new Set(merge.renamed.map(r => r.to));
+  const added = result.sections.filter(s => !previous[s.name] && !renamed.has(s.name)).length;
+  const moved = result.sections.filter(s => previous[s.name] &&
+    (previous[s.name].line !== s.line || previous[s.name].end !== s.end)).length;
+
+  await writeChange(filePath, content, result.content);
+
+  log(`   ✅ ${basename(filePath)}: ${did('Synced')} (${moved} moved, ${added} added)`);
+  logMerge(merge);
+  return { success: true, changed: true, moved, added, renamed: merge.renamed, removed: merge.removed };
+}
+
+/**
+ * Create or re-sync the companion markdown (`file.ai.md`)
+ *
+ * Also writes the embedded header unless --companion-only is set or the
+ * language can't hold one, so both list the same line ranges.
+ */
+async function companionFile(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const totalLines = content.split('\n').length;
+
+  if (options.minLines && totalLines < options.minLines) {
+    log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
+    return { skipped: true, reason: 'below-threshold' };
+  }
+
+  const plugin = options.plugin;
+  if (!plugin) {
+    log(`   ⚠️  ${basename(filePath)}: Unsupported file type`);
+    return { skipped: true, reason: 'unsupported' };
   }
 
-  // Close last section
-  if (currentSection) {
-    sections.push({
-      name: currentSection,
-      line: sectionStart,
-      end: lines.length
+  let sections;
+  if (options.companionOnly || !canEmbedIndex(plugin.indexFormat)) {
+    sections = detectSections(content, plugin, options);
+  } else {
+    const { detect, merge } = mergingDetect(plugin, options);
+    const indexed = buildIndexedContent(content, plugin.indexFormat, detect, {
+      placement: options.placement,
+      keepHashes: true,
+      ...await tokenOptions(options),
     });
+    if (indexed.changed) await writeChange(filePath, content, indexed.content);
+    logMerge(merge);
+    sections = indexed.sections;
   }
 
-  return sections;
-}
+  const existingPath = await findCompanion(filePath);
+  const companionPath = existingPath || `${filePath}${COMPANION_SUFFIX}`;
+  const existing = existingPath ? await source.read(existingPath) : null;
+  const result = buildCompanionContent(filePath, sections, existing);
 
-function generateIndexBlock(sections, totalLines) {
-  const now = new Date().toISOString();
+  if (result.content === existing) {
+    log(`   ✅ ${basename(filePath)}: ${basename(companionPath)} up to date (${result.sections.length} sections)`);
+    return { success: true, changed: false, companion: companionPath };
+  }
 
-  // Calculate max widths for alignment
-  const maxNameLen = Math.max(20, ...sections.map(s => s.name.length));
-  const maxDescLen = Math.max(20, ...sections.map(s => (s.desc || '').length));
+  await writeChange(companionPath, existing, result.content);
 
-  let table = '';
-  table += ` * | ${'Section'.padEnd(maxNameLen)} | Line | End  | Size | ${'Description'.padEnd(maxDescLen)} |\n`;
-  table += ` * | ${'-'.repeat(maxNameLen)} | ---- | ---- | ---- | ${'-'.repeat(maxDescLen)} |\n`;
+  if (!existing) {
+    log(`   ✅ ${basename(filePath)}: ${did('Created')} ${basename(companionPath)} (${result.sections.length} sections)`);
+  } else {
+    log(`   ✅ ${basename(filePath)}: ${did('Synced')} ${basename(companionPath)} (${result.added.length} added, ${result.removed.length} removed)`);
+  }
+  return { success: true, changed: true, companion: companionPath };
+}
 
-  for (const section of sections) {
-    const size = section.end - section.line + 1;
-    const name = section.name.padEnd(maxNameLen);
-    const line = String(section.line).padStart(4);
-    const end = String(section.end).padStart(4);
-    const sizeStr = String(size).padStart(4);
-    const desc = (section.desc || '').padEnd(maxDescLen);
-    table += ` * | ${name} | ${line} | ${end} | ${sizeStr} | ${desc} |\n`;
+/**
+ * Sections changed since the file was last indexed: hashes that no longer
+ * match, plus regions that aren't in the index yet
+ */
+async function changedSections(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const plugin = options.plugin;
+  if (!plugin) {
+    throw new Error('Unsupported file type');
   }
 
-  return `/**
- * @ai-index
- * @generated ${now}
- * @total-lines ${totalLines}
- *
-${table} */`;
+  const index = canEmbedIndex(plugin.indexFormat) && parseIndex(content, plugin.indexFormat);
+  // Without recorded hashes there is nothing to compare against
+  if (!hasHashes(index)) return { file: filePath, hashed: false, sections: [] };
+
+  const sections = [
+    ...findChangedSections(content, plugin).map(({ name, line, end }) => ({
+      name, line, end, status: 'changed', desc: index.sections[name].desc,
+    })),
+    ...findSections(content, plugin).filter(s => !index.sections[s.name]).map(({ name, line, end, desc }) => ({
+      name, line, end, status: 'new', desc,
+    })),
+  ].sort((a, b) => a.line - b.line);
+
+  if (!options.json && sections.length > 0) {
+    const width = Math.max(...sections.map(s => s.name.length));
+    console.log(filePath);
+    for (const s of sections) {
+      console.log(`  ${s.name.padEnd(width)}  ${`${s.line}-${s.end}`.padEnd(9)}  ${s.status.padEnd(7)}  ${s.desc}`.trimEnd());
+    }
+  }
+  return { file: filePath, hashed: true, sections };
 }
 
-function insertIndex(content, indexBlock, existingIndex) {
+/**
+ * Resolve the index of a file without modifying it
+ * Sources: embedded header, fresh sidecar entry, detected sections
+ */
+async function readIndex(filePath, options = {}) {
+  const content = await source.read(filePath);
+  const plugin = options.plugin;
+  if (!plugin) {
+    throw new Error('Unsupported file type');
+  }
+
+  const lines = content.split('\n');
+  let sections;
+  let origin;
+
+  const existingIndex = canEmbedIndex(plugin.indexFormat) && parseIndex(content, plugin.indexFormat);
+  const sidecar = !existingIndex && await readSidecarEntry(filePath, content);
+
   if (existingIndex) {
-    // Replace existing index
-    return content.slice(0, existingIndex.startIndex) +
-           indexBlock +
-           content.slice(existingIndex.endIndex);
+    sections = Object.entries(existingIndex.sections).map(([name, s]) => ({
+      name, line: s.line, end: s.end, depth: s.depth, desc: s.desc, ...(s.tokens !== undefined ? { tokens: s.tokens } : {}),
+    }));
+    origin = 'header';
+  } else if (sidecar?.fresh) {
+    sections = sidecar.entry.sections;
+    origin = 'sidecar';
   } else {
-    // Insert at beginning (after shebang if present)
-    const shebangMatch = content.match(/^#!.*\n/);
-    if (shebangMatch) {
-      return shebangMatch[0] + indexBlock + '\n\n' + content.slice(shebangMatch[0].length);
+    sections = detectSections(content, plugin, options);
+    origin = 'detected';
+  }
+
+  const index = {
+    file: filePath,
+    language: plugin.name,
+    totalLines: lines.length,
+    ...(existingIndex?.tokens != null ? { tokens: existingIndex.tokens } : {}),
+    source: origin,
+    sections,
+  };
+
+  if (options.section) {
+    const section = sections.find(s => s.name === options.section);
+    if (!section) {
+      throw new Error(`Section "${options.section}" not found (available: ${sections.map(s => s.name).join(', ')})`);
     }
-    return indexBlock + '\n\n' + content;
+    console.log(lines.slice(section.line - 1, section.end).join('\n'));
+  } else if (!options.json) {
+    console.log(`${filePath} (${plugin.name}, ${lines.length} lines, ${origin})\n`);
+    console.log(formatTable(sections).join('\n') + '\n');
   }
+
+  return index;
 }
 
 // ============================================
-// Main Functions
+// Sidecar Mode
 // ============================================
 
-async function indexFile(filePath, options = {}) {
-  const content = await readFile(filePath, 'utf-8');
-  const lines = content.split('\n');
-  const totalLines = lines.length;
+function entrySections(entry) {
+  return Object.fromEntries(entry.sections.map(s => [s.name, s]));
+}
+
+async function indexFileSidecar(filePath, options, sidecar) {
+  const content = await source.read(filePath);
+  const totalLines = content.split('\n').length;
 
-  // Check minimum lines
   if (options.minLines && totalLines < options.minLines) {
-    console.log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
+    log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
     return { skipped: true, reason: 'below-threshold' };
   }
 
-  const plugin = getLanguagePlugin(filePath);
+  const plugin = options.plugin;
   if (!plugin) {
-    console.log(`   ⚠️  ${basename(filePath)}: Unsupported file type`);
+    log(`   ⚠️  ${basename(filePath)}: Unsupported file type`);
     return { skipped: true, reason: 'unsupported' };
   }
 
-  const existingIndex = parseExistingIndex(content);
-
-  // Find sections (using plugin-specific patterns)
-  let sections = findExplicitSections(content, plugin);
-
-  // If no explicit sections, try auto-detection
-  if (sections.length === 0) {
-    sections = detectSectionsAuto(content, plugin);
-  }
-
-  // If still no sections, create a single "main" section
-  if (sections.length === 0) {
-    sections = [{ name: 'main', line: 1, end: totalLines, desc: 'Main content' }];
-  }
-
-  // Add descriptions based on section names
-  const descMap = {
-    // Common
-    'imports': 'External dependencies',
-    'types': 'Type definitions',
-    'config': 'Configuration',
-    'main': 'Main content',
-    'tests': 'Unit tests',
-    // TypeScript/JavaScript
-    'types/state': 'State interface',
-    'types/actions': 'Action interfaces',
-    'state/initial': 'Initial state',
-    'store': 'State store',
-    'selectors': 'State selectors',
-    'hooks': 'React hooks',
-    'debug': 'Debug utilities',
-    // Python
-    'classes': 'Class definitions',
-    'models': 'Data models',
-    'dataclasses': 'Dataclass definitions',
-    'routes': 'API routes',
-    'async': 'Async functions',
-    // Rust
-    'modules': 'Module declarations',
-    'structs': 'Struct definitions',
-    'enums': 'Enum definitions',
-    'impl': 'Implementations',
-    'functions': 'Function definitions',
-    // Go
-    'interfaces': 'Interface definitions',
-    'methods': 'Method definitions',
-    // C#/Java
-    'namespace': 'Namespace declaration',
-    'package': 'Package declaration',
-  };
-
-  for (const section of sections) {
-    if (!section.desc) {
-      section.desc = descMap[section.name] || '';
-    }
-  }
-
-  // Generate index block
-  const indexBlock = generateIndexBlock(sections, totalLines);
+  const previous = sidecar.get(filePath);
+  const action = previous ? 'Updated' : 'Added';
+  const merge = mergeWithIndex(detectSections(content, plugin, options), previous && entrySections(previous));
+  const entry = sidecar.set(filePath, { content, sections: merge.sections });
 
-  // Insert or replace index
-  const newContent = insertIndex(content, indexBlock, existingIndex);
-
-  // Write file
-  await writeFile(filePath, newContent);
-
-  const action = existingIndex ? 'Updated' : 'Added';
-  console.log(`   ✅ ${basename(filePath)}: ${action} index (${sections.length} sections, ${totalLines} lines)`);
-
-  return {
-    success: true,
-    sections: sections.length,
-    totalLines,
-    action
-  };
+  log(`   ✅ ${basename(filePath)}: ${did(action)} sidecar index (${entry.sections.length} sections, ${totalLines} lines)`);
+  logMerge(merge);
+  return { success: true, sections: entry.sections.length, totalLines, action, renamed: merge.renamed, removed: merge.removed };
 }
 
-async function verifyIndex(filePath) {
-  const content = await readFile(filePath, 'utf-8');
-  const existingIndex = parseExistingIndex(content);
+async function verifySidecar(filePath, options, sidecar) {
+  const content = await source.read(filePath);
+  const totalLines = content.split('\n').length;
 
-  if (!existingIndex) {
-    console.log(`   ❌ ${basename(filePath)}: No index found`);
-    return { valid: false, reason: 'no-index' };
+  if (options.minLines && totalLines < options.minLines) {
+    log(`   ⏭️  ${basename(filePath)}: ${totalLines} lines (below threshold)`);
+    return { skipped: true, reason: 'below-threshold' };
   }
 
-  const plugin = getLanguagePlugin(filePath);
-  const lines = content.split('\n');
-  const errors = [];
+  const entry = sidecar.get(filePath);
+  if (!entry) {
+    return reportVerify(filePath, [createIssue('AI001', `Not in ${basename(sidecar.path)}`)], options);
+  }
 
-  // Verify each section's line numbers
-  for (const [name, section] of Object.entries(existingIndex.sections)) {
-    if (section.line > lines.length || section.end > lines.length) {
-      errors.push(`Section "${name}": line numbers exceed file length`);
-    }
+  const issues = checkSections(content, options.plugin, entrySections(entry), options);
+  if (entry.hash !== hashContent(content)) {
+    issues.unshift(createIssue('AI008', 'File changed since it was indexed'));
   }
+  issues.push(...await verifyCompanion(filePath, content, entrySections(entry), options) || []);
 
-  // Check for explicit markers and verify they match
-  const explicitSections = findExplicitSections(content, plugin);
-  for (const explicit of explicitSections) {
-    const indexed = existingIndex.sections[explicit.name];
-    if (!indexed) {
-      errors.push(`Section "${explicit.name}" in code but not in index`);
-    } else if (Math.abs(indexed.line - explicit.line) > 5) {
-      errors.push(`Section "${explicit.name}": index says line ${indexed.line}, actual is ${explicit.line}`);
-    }
+  return reportVerify(filePath, issues, options);
+}
+
+async function syncSidecar(filePath, options, sidecar) {
+  const content = await source.read(filePath);
+  const plugin = options.plugin;
+  const entry = sidecar.get(filePath);
+
+  if (!entry) {
+    log(`   ⏭️  ${basename(filePath)}: Not in ${basename(sidecar.path)} (run "ai-index generate --sidecar" first)`);
+    return { skipped: true, reason: 'no-index' };
   }
 
-  if (errors.length > 0) {
-    console.log(`   ⚠️  ${basename(filePath)}: ${errors.length} issue(s)`);
-    for (const err of errors) {
-      console.log(`      - ${err}`);
-    }
-    return { valid: false, errors };
+  if (entry.hash === hashContent(content)) {
+    log(`   ✅ ${basename(filePath)}: Already in sync`);
+    return { success: true, changed: false };
   }
 
-  console.log(`   ✅ ${basename(filePath)}: Index valid`);
-  return { valid: true };
+  // Without markers (JSON, scanner sections) the recorded ranges can't be moved:
+  // detect them again at the depth they were indexed with, keeping descriptions
+  const markers = findSections(content, plugin).length > 0;
+  const depth = Math.max(1, ...entry.sections.map(s => (s.depth || 0) + 1));
+  const merge = markers
+    ? mergeWithMarkers(entrySections(entry), content, plugin)
+    : mergeWithIndex(detectSections(content, plugin, { ...options, depth }), entrySections(entry));
+  sidecar.set(filePath, { content, sections: merge.sections });
+
+  log(`   ✅ ${basename(filePath)}: ${did('Synced')} sidecar index`);
+  logMerge(merge);
+  return { success: true, changed: true, renamed: merge.renamed, removed: merge.removed };
 }
 
-async function removeIndex(filePath) {
-  const content = await readFile(filePath, 'utf-8');
-  const existingIndex = parseExistingIndex(content);
-
-  if (!existingIndex) {
-    console.log(`   ⏭️  ${basename(filePath)}: No index to remove`);
+function removeSidecar(filePath, options, sidecar) {
+  if (!sidecar.delete(filePath)) {
+    log(`   ⏭️  ${basename(filePath)}: Not in ${basename(sidecar.path)}`);
     return { removed: false };
   }
 
-  const newContent = content.slice(0, existingIndex.startIndex) +
-                     content.slice(existingIndex.endIndex).replace(/^\n+/, '');
-
-  await writeFile(filePath, newContent);
-  console.log(`   ✅ ${basename(filePath)}: Index removed`);
+  log(`   ✅ ${basename(filePath)}: ${did('Removed')} from ${basename(sidecar.path)}`);
   return { removed: true };
 }
 
@@ -553,25 +566,295 @@ async function removeIndex(filePath) {
 // CLI
 // ============================================
 
-async function main() {
-  const args = process.argv.slice(2);
+const SIDECAR_OPTION = {
+  type: 'boolean',
+  default: false,
+  description: 'Use the .ai-index.json manifest instead of a header in the file',
+};
+
+const DEPTH_OPTION = {
+  type: 'number',
+  default: 1,
+  arg: 'N',
+  description: 'JSON: index keys down to N levels',
+};
+
+const DRY_RUN_OPTION = {
+  type: 'boolean',
+  default: false,
+  description: 'Print a unified diff instead of writing files',
+};
+
+const CHECK_OPTION = {
+  type: 'boolean',
+  default: false,
+  description: 'Write nothing; exit with code 1 if any file would change',
+};
+
+const TOKEN_OPTIONS = {
+  tokens: { type: 'boolean', description: 'Add a Tokens column and @tokens total (--tokens=false drops them)' },
+  'token-vocab': { type: 'string', arg: 'PATH', description: 'Count tokens with a .tiktoken BPE vocabulary (default: chars/4)' },
+};
+
+// Accepted by every command
+const CONFIG_OPTIONS = {
+  config: { type: 'string', arg: 'PATH', description: 'Use this config file for every file' },
+  'no-config': { type: 'boolean', default: false, description: 'Ignore ai-index.config.mjs / .ai-indexrc.json' },
+};
+
+// Accepted by every command that runs once over a set of files
+const GIT_OPTIONS = {
+  staged: { type: 'boolean', default: false, description: 'Files staged in git (content is read from and written to the index)' },
+  'changed-since': { type: 'string', arg: 'REF', description: 'Files changed since a git ref (e.g. origin/main)' },
+  untracked: { type: 'boolean', default: false, description: 'Untracked files not ignored by git' },
+};
+
+/**
+ * Options a command accepts: its own plus the shared ones (file commands only)
+ */
+function commandOptions(command) {
+  if (command.action) return command.options;
+  return { ...command.options, ...CONFIG_OPTIONS, ...(command.watch ? {} : GIT_OPTIONS) };
+}
+
+const COMMANDS = {
+  generate: {
+    usage: 'ai-index generate <files...> [options]',
+    summary: 'Create or update the index header',
+    options: {
+      'min-lines': { type: 'number', default: 0, arg: 'N', description: 'Only index files with N+ lines' },
+      placement: { type: 'string', default: 'top', arg: 'WHERE', description: `New header position: ${PLACEMENTS.join(' or ')}` },
+      hash: { type: 'boolean', description: 'Record a content hash per section (--hash=false drops them)' },
+      ...TOKEN_OPTIONS,
+      'min-tokens': { type: 'number', default: 0, arg: 'N', description: 'Only index files with an estimated N+ tokens' },
+      sidecar: SIDECAR_OPTION,
+      depth: DEPTH_OPTION,
+      'dry-run': DRY_RUN_OPTION,
+      check: CHECK_OPTION,
+    },
+    run: (file, options, { sidecar }) => sidecar
+      ? indexFileSidecar(file, options, sidecar)
+      : indexFile(file, options),
+    outcome: (result) => result.skipped ? 'skipped' : result.success ? 'success' : 'failed',
+  },
+  sync: {
+    usage: 'ai-index sync <files...> [options]',
+    summary: 'Update Line/End/Size from #region markers or detected declarations, keep the rest of the table',
+    options: {
+      ...TOKEN_OPTIONS,
+      sidecar: SIDECAR_OPTION,
+      'dry-run': DRY_RUN_OPTION,
+      check: CHECK_OPTION,
+    },
+    run: (file, options, { sidecar }) => sidecar ? syncSidecar(file, options, sidecar) : syncIndex(file, options),
+    outcome: (result) => result.skipped ? 'skipped' : 'success',
+  },
+  companion: {
+    usage: 'ai-index companion <files...> [options]',
+    summary: 'Create or re-sync the file.ai.md companion (keeps descriptions and notes)',
+    options: {
+      'companion-only': { type: 'boolean', default: false, description: 'Write only the companion, never the source file' },
+      'min-lines': { type: 'number', default: 0, arg: 'N', description: 'Only handle files with N+ lines' },
+      placement: { type: 'string', default: 'top', arg: 'WHERE', description: `New header position: ${PLACEMENTS.join(' or ')}` },
+      depth: DEPTH_OPTION,
+      'dry-run': DRY_RUN_OPTION,
+      check: CHECK_OPTION,
+    },
+    run: (file, options) => companionFile(file, options),
+    outcome: (result) => result.skipped ? 'skipped' : 'success',
+  },
+  verify: {
+    usage: 'ai-index verify <files...> [options]',
+    summary: 'Check if index is valid and up-to-date',
+    options: {
+      'min-lines': { type: 'number', default: 0, arg: 'N', description: 'Skip files with fewer than N lines' },
+      strict: { type: 'boolean', default: false, description: 'Treat warnings as errors' },
+      ignore: { type: 'string', arg: 'CODES', description: 'Skip these issue codes (e.g. AI003,AI008)' },
+      tolerance: { type: 'number', default: 5, arg: 'N', description: 'Allowed drift (lines) between index and markers' },
+      reporter: { type: 'string', default: 'text', arg: 'NAME', description: `Output format: ${REPORTERS.join(', ')}` },
+      ci: { type: 'boolean', default: false, description: 'Same as --reporter=json' },
+      sidecar: SIDECAR_OPTION,
+    },
+    run: (file, options, { sidecar }) => sidecar
+      ? verifySidecar(file, options, sidecar)
+      : verifyIndex(file, options),
+    verifies: true,
+    outcome: (result) => result.skipped ? 'skipped' : result.valid ? 'success' : 'failed',
+    report: (results, options) => {
+      if (options.reporter !== 'text') {
+        console.log(formatReport(results, options.reporter));
+      }
+    },
+  },
+  remove: {
+    usage: 'ai-index remove <files...> [options]',
+    summary: 'Remove index from file',
+    options: {
+      sidecar: SIDECAR_OPTION,
+      'dry-run': DRY_RUN_OPTION,
+      check: CHECK_OPTION,
+    },
+    run: (file, options, { sidecar }) => sidecar ? removeSidecar(file, options, sidecar) : removeIndex(file, options),
+    outcome: (result) => result.removed ? 'success' : 'skipped',
+  },
+  read: {
+    usage: 'ai-index read <files...> [options]',
+    summary: 'Print the index (or one section) without modifying files',
+    raw: true,
+    options: {
+      section: { type: 'string', arg: 'NAME', description: 'Print the lines of this section' },
+      json: { type: 'boolean', default: false, description: 'Print the index as JSON' },
+      depth: DEPTH_OPTION,
+    },
+    run: (file, options) => readIndex(file, options),
+    outcome: () => 'success',
+    report: (indexes, options) => {
+      if (options.json && !options.section) {
+        console.log(JSON.stringify(indexes.length === 1 ? indexes[0] : indexes, null, 2));
+      }
+    },
+  },
+  changed: {
+    usage: 'ai-index changed <files...> [options]',
+    summary: 'List sections whose content changed since the last "generate --hash"',
+    raw: true,
+    options: {
+      json: { type: 'boolean', default: false, description: 'Print the changed sections as JSON' },
+    },
+    run: (file, options) => changedSections(file, options),
+    outcome: () => 'success',
+    report: (results, options) => {
+      if (options.json) {
+        console.log(JSON.stringify(results.filter(r => r.hashed), null, 2));
+      } else if (!results.some(r => r.sections.length > 0)) {
+        console.log(results.some(r => r.hashed)
+          ? 'No sections changed since the last index'
+          : 'No section hashes found (run "ai-index generate --hash" first)');
+      }
+    },
+  },
+  watch: {
+    usage: 'ai-index watch [files...] [options]',
+    summary: 'Re-sync indexes whenever indexed files are saved (runs until Ctrl+C)',
+    options: {
+      debounce: { type: 'number', default: 300, arg: 'MS', description: 'Wait until a file has been quiet for MS milliseconds' },
+      ...TOKEN_OPTIONS,
+    },
+    watch: watchIndexes,
+  },
+  hooks: {
+    usage: 'ai-index hooks <install|uninstall>',
+    summary: 'Add or remove the pre-commit hook that syncs staged files',
+    options: {},
+    action: manageHooks,
+  },
+};
 
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
-    console.log(`
-AI-Index v2.0: Universal file indexing for AI assistants
+/**
+ * `ai-index watch`: sync the header of each indexed file after it is saved
+ *
+ * Files that are empty, not indexed or have unbalanced region markers (most
+ * likely mid-edit) are left alone. Our own writes are remembered so their
+ * change events don't trigger another sync.
+ */
+async function watchIndexes(patterns, { options, given, config, filter }) {
+  const written = new Map();
+  source = {
+    ...source,
+    write: async (filePath, before, after) => {
+      written.set(resolve(filePath), after);
+      await writeFile(filePath, after);
+    },
+  };
+
+  const report = (message) => console.log(`   ${new Date().toTimeString().slice(0, 8)} ${message}`);
+
+  const watcher = await watchFiles(patterns, {
+    filter,
+    debounce: options.debounce,
+    onChange: async (file) => {
+      const content = await readFile(file, 'utf-8');
+      const ours = written.get(resolve(file)) === content;
+      written.delete(resolve(file));
+      if (ours || !content.trim()) return;
+
+      const fileOptions = await resolveFileOptions(file, options, given, config);
+      const plugin = fileOptions.plugin;
+      if (!canEmbedIndex(plugin.indexFormat) || !parseIndex(content, plugin.indexFormat)) return;
+
+      const [issue] = scanRegions(content, plugin).issues;
+      if (issue) {
+        report(`⏸️  ${file}: skipped, ${issue.message} (line ${issue.line})`);
+        return;
+      }
+
+      const result = await syncIndex(file, fileOptions);
+      if (result.changed) {
+        report(`🔄 ${file}: synced (${result.moved} moved, ${result.added} added)`);
+      }
+    },
+    onError: (error, file) => report(`❌ ${file ? `${file}: ` : ''}${error.message}`),
+  });
+
+  console.log(`   👀 Watching ${watcher.files().length} file(s), Ctrl+C to stop\n`);
+  // Per-file progress from syncIndex is replaced by the timestamped lines above
+  log = () => {};
+
+  process.once('SIGINT', () => {
+    watcher.close();
+    console.log('\n   Stopped watching\n');
+  });
+}
+
+const HOOK_ACTIONS = {
+  install: installHook,
+  uninstall: uninstallHook,
+};
+
+/**
+ * `ai-index hooks install|uninstall`
+ */
+async function manageHooks([action, ...extra]) {
+  if (!HOOK_ACTIONS[action] || extra.length > 0) {
+    throw new Error(`Expected "install" or "uninstall", got "${[action, ...extra].filter(Boolean).join(' ')}"`);
+  }
+
+  const { path, action: done } = await HOOK_ACTIONS[action]();
+  const name = relative(process.cwd(), path) || path;
+  const messages = {
+    created: `✅ Created ${name}`,
+    updated: `✅ Updated ${name}`,
+    removed: `🗑️  Removed the ai-index block from ${name}`,
+    deleted: `🗑️  Deleted ${name}`,
+    unchanged: action === 'install' ? `✓  ${name} is up to date` : `✓  No ai-index block in ${name}`,
+  };
+  console.log(`   ${messages[done]}`);
+}
+
+function printHelp() {
+  const commands = Object.entries(COMMANDS)
+    .map(([name, command]) => `  ${name.padEnd(10)} ${command.summary}`)
+    .join('\n');
+
+  console.log(`
+AI-Index v3.0: Universal file indexing for AI assistants
 
 Supported languages:
-  TypeScript, JavaScript, Python, Rust, Go, C#, Java, YAML, JSON
+  TypeScript, JavaScript, Python, Rust, Go, C#, Java, Kotlin, Scala, YAML, JSON
 
 Usage:
-  node scripts/ai-index.mjs <file> [options]
+  ai-index <command> <files|dirs|globs...> [options]
 
-Options:
-  --reindex        Update existing index (same as default)
-  --verify         Check if index is valid and up-to-date
-  --remove         Remove index from file
-  --min-lines=N    Only index files with N+ lines (default: 0)
-  --help, -h       Show this help
+Directories and globs are walked recursively. Files matched by .gitignore
+or .ai-indexignore, node_modules, build output and binaries are skipped.
+
+Commands:
+${commands}
+
+Run "ai-index <command> --help" for command options.
+
+Exit codes: 0 ok, 1 errors found (verify: warnings too with --strict),
+2 bad arguments or config.
 
 Region markers (language-specific):
   TypeScript/JS:  //#region name — Description
@@ -579,81 +862,333 @@ Region markers (language-specific):
   Rust/Go:        // region: name — Description
   C#:             #region name — Description
 
+Configuration:
+  Each file uses the nearest ai-index.config.mjs or .ai-indexrc.json above
+  it (include/exclude globs, thresholds, markers, extensions, descriptions,
+  header placement, verify strictness). Command-line options win.
+
+Sidecar mode (--sidecar):
+  Keeps indexes in one .ai-index.json manifest at the repository root
+  instead of modifying source files. Use it for JSON, vendored or
+  generated code.
+
+Git selectors (--staged, --changed-since=REF, --untracked):
+  Pick files from git instead of (or narrowed by) file arguments. With
+  --staged the staged content is indexed and re-staged, so partially
+  staged files keep their unstaged changes. "ai-index hooks install" adds
+  a pre-commit hook that runs "ai-index sync --staged".
+
+Companion files (ai-index companion):
+  file.ts.ai.md holds a description, the Sections table and notes. Re-runs
+  update only the table's line ranges; hand-written text is kept.
+
 Examples:
-  node scripts/ai-index.mjs src/stores/projectStore.ts
-  node scripts/ai-index.mjs main.py --min-lines=200
-  node scripts/ai-index.mjs src/lib.rs --verify
+  ai-index generate src/stores/projectStore.ts
+  ai-index generate main.py --min-lines=200
+  ai-index generate src/ --min-lines=300
+  ai-index verify "src/**/*.{ts,py}"
+  ai-index sync src/stores/projectStore.ts
+  ai-index generate src/ --dry-run > index.patch
+  ai-index sync src/ --check
+  ai-index verify --changed-since=origin/main --reporter=github
+  ai-index hooks install
+  ai-index watch src/ --debounce=500
+  ai-index companion src/api.ts --companion-only
+  ai-index verify src/lib.rs
+  ai-index verify src/ --strict --reporter=github
+  ai-index generate fixtures/ vendor/ --sidecar
+  ai-index read openapi.json --depth=2
+  ai-index read src/lib.rs --section=parser
+  ai-index generate src/ --hash && ai-index changed src/
+  ai-index generate src/ --tokens --min-tokens=4000
 `);
+}
+
+function printCommandHelp(name) {
+  const command = COMMANDS[name];
+  const options = Object.entries(commandOptions(command)).map(([option, spec]) => {
+    const flag = spec.arg ? `--${option}=${spec.arg}` : `--${option}`;
+    return `  ${flag.padEnd(18)} ${spec.description}`;
+  });
+  options.push(`  ${'--help, -h'.padEnd(18)} Show this help`);
+
+  console.log(`
+Usage: ${command.usage}
+
+${command.summary}
+
+Options:
+${options.join('\n')}
+`);
+}
+
+/**
+ * Split command arguments into options (per command spec) and file patterns
+ *
+ * `given` holds the options set on the command line, which win over config.
+ */
+function parseArgs(args, spec) {
+  const options = {};
+  const patterns = [];
+  const given = new Set();
+
+  for (const [name, option] of Object.entries(spec)) {
+    options[camelCase(name)] = option.default;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      patterns.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    const option = spec[name];
+    if (!option) {
+      throw new Error(`Unknown option: --${name}`);
+    }
+
+    given.add(camelCase(name));
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    if (option.type === 'boolean') {
+      options[camelCase(name)] = value === undefined || value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = args[++i];
+      if (value === undefined) throw new Error(`Option --${name} requires a value`);
+    }
+
+    if (option.type === 'number') {
+      const number = parseInt(value);
+      if (Number.isNaN(number)) throw new Error(`Option --${name} expects a number, got "${value}"`);
+      value = number;
+    }
+
+    options[camelCase(name)] = value;
+  }
+
+  return { options, patterns, given };
+}
+
+/**
+ * Per-file options: config settings fill in what the command line didn't set
+ */
+async function resolveFileOptions(file, options, given, config) {
+  const { plugin, settings } = await config.forFile(file);
+  const resolved = { ...options, plugin };
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (key in options && !given.has(key)) resolved[key] = value;
+  }
+  return resolved;
+}
+
+function camelCase(name) {
+  return name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+}
+
+const LEGACY_FLAGS = ['--verify', '--remove', '--reindex'];
+
+/**
+ * Map v2 invocations (`ai-index <file> --verify`) to subcommands
+ *
+ * Only with a v2 flag or an existing path first, so a mistyped command
+ * (`ai-index verfy x.ts`) is an error instead of a generate run.
+ */
+function legacyCommand(args) {
+  if (!args.some(a => LEGACY_FLAGS.includes(a)) && !existsSync(args[0])) return null;
+  const command = args.includes('--verify') ? 'verify' : args.includes('--remove') ? 'remove' : 'generate';
+  const rest = args.filter(a => !LEGACY_FLAGS.includes(a));
+  return { command, rest };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args[0] === '--help' || args[0] === '-h' || args[0] === 'help') {
+    printHelp();
     process.exit(0);
   }
 
-  // Parse options
-  const options = {
-    verify: args.includes('--verify'),
-    remove: args.includes('--remove'),
-    minLines: parseInt(args.find(a => a.startsWith('--min-lines='))?.split('=')[1] || '0')
-  };
+  const legacy = COMMANDS[args[0]] ? null : legacyCommand(args);
+  if (!COMMANDS[args[0]] && !legacy) {
+    console.error(`Error: Unknown command "${args[0]}"`);
+    console.error('Run "ai-index --help" for usage.');
+    process.exit(2);
+  }
+  const { command: name, rest } = legacy || { command: args[0], rest: args.slice(1) };
+  const command = COMMANDS[name];
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, commandOptions(command));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(`Run "ai-index ${name} --help" for usage.`);
+    process.exit(2);
+  }
 
-  // Get file patterns (non-option arguments)
-  const patterns = args.filter(a => !a.startsWith('--'));
+  const { options, patterns, given } = parsed;
 
-  if (patterns.length === 0) {
-    console.error('Error: No file pattern specified');
-    process.exit(1);
+  if (options.help) {
+    printCommandHelp(name);
+    process.exit(0);
   }
 
-  console.log('\n📑 AI-Index\n');
+  if (command.action) {
+    try {
+      await command.action(patterns, options);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(2);
+    }
+    return;
+  }
 
-  // Process file patterns (simple, no glob - just direct paths)
-  let files = [];
-  for (const pattern of patterns) {
-    // Check if file exists
-    if (existsSync(pattern)) {
-      const fileStat = await stat(pattern);
-      if (fileStat.isFile()) {
-        files.push(pattern);
-      }
-    } else {
-      console.log(`   ⚠️  File not found: ${pattern}`);
+  // Without file arguments, git selectors pick the files from the whole tree
+  if (command.watch && patterns.length === 0) patterns.push('.');
+  const selected = options.staged || options.changedSince || options.untracked;
+  if (patterns.length === 0 && !selected) {
+    console.error('Error: No file pattern specified');
+    process.exit(2);
+  }
+
+  if (options.ci) options.reporter = 'json';
+  try {
+    if (options.reporter && !REPORTERS.includes(options.reporter)) {
+      throw new Error(`Unknown reporter "${options.reporter}" (expected ${REPORTERS.join(', ')})`);
     }
+    parseIssueCodes(options.ignore);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  // Raw commands (read) and JSON/SARIF/JUnit reports print only their own output
+  const quiet = command.raw || ['json', 'sarif', 'junit'].includes(options.reporter);
+  if (quiet) log = () => {};
+
+  preview.active = Boolean(options.dryRun || options.check);
+  preview.showDiff = Boolean(options.dryRun);
+  // With --dry-run stdout is a patch; progress goes to stderr
+  if (options.dryRun) log = console.error;
+
+  log('\n📑 AI-Index\n');
+
+  let config;
+  let collected;
+  // Walked files follow the config's include/exclude; explicit files are always kept
+  const filter = async (file) => {
+    if (CONFIG_FILES.includes(basename(file))) return false;
+    const { plugin, included } = await config.forFile(file);
+    return plugin !== null && included;
+  };
+  try {
+    config = await createConfigResolver({ configPath: options.config, disabled: options.noConfig });
+    collected = selected
+      ? { files: await selectFiles(await selectGitFiles(options), patterns, { filter }), missing: [] }
+      : await collectFiles(patterns, { filter });
+    if (options.staged) source = await openGitIndex();
+    // Load every config up front: a broken one is a usage error, not a file failure
+    for (const file of collected.files) await config.configFor(file);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+  // Companions are checked with their source file, orphans separately
+  const { missing } = collected;
+  const files = command.verifies
+    ? collected.files.filter(file => !isCompanionPath(file))
+    : collected.files;
+  const orphans = command.verifies && !selected ? await findOrphanCompanions(patterns) : [];
+
+  for (const pattern of missing) {
+    (quiet ? console.error : console.log)(`   ⚠️  File not found: ${pattern}`);
   }
 
-  // Remove duplicates
-  files = [...new Set(files)];
+  if (command.watch) {
+    await command.watch(patterns, { options, given, config, filter });
+    return;
+  }
 
-  if (files.length === 0) {
-    console.log('   No files matched the pattern(s)');
+  if (files.length === 0 && orphans.length === 0) {
+    log('   No files matched the pattern(s)');
     process.exit(0);
   }
 
-  console.log(`   Processing ${files.length} file(s)...\n`);
+  log(`   Processing ${files.length} file(s)...\n`);
+
+  const context = {
+    sidecar: options.sidecar ? await openSidecar() : null,
+  };
 
-  // Process each file
   const results = { success: 0, skipped: 0, failed: 0 };
+  const outputs = [];
+
+  for (const orphan of orphans) {
+    const orphanOptions = await resolveFileOptions(orphan, options, given, config);
+    const result = reportVerify(orphan, [createIssue('AI014', 'Orphan companion (source file not found)')], orphanOptions);
+    results[command.outcome(result)]++;
+    outputs.push({ file: orphan, ...result });
+  }
 
   for (const file of files) {
+    let fileOptions = options;
     try {
-      if (options.verify) {
-        const result = await verifyIndex(file);
-        if (result.valid) results.success++;
-        else results.failed++;
-      } else if (options.remove) {
-        const result = await removeIndex(file);
-        if (result.removed) results.success++;
-        else results.skipped++;
+      fileOptions = await resolveFileOptions(file, options, given, config);
+      const result = await command.run(file, fileOptions, context);
+      results[command.outcome(result)]++;
+      outputs.push(command.verifies ? { file, ...result } : result);
+    } catch (error) {
+      if (command.verifies) {
+        const result = reportVerify(file, [createIssue('AI000', error.message)], fileOptions);
+        outputs.push({ file, ...result });
+      } else if (command.raw) {
+        console.error(`${file}: ${error.message}`);
       } else {
-        const result = await indexFile(file, options);
-        if (result.skipped) results.skipped++;
-        else if (result.success) results.success++;
-        else results.failed++;
+        log(`   ❌ ${basename(file)}: ${error.message}`);
       }
-    } catch (error) {
-      console.log(`   ❌ ${basename(file)}: ${error.message}`);
       results.failed++;
     }
   }
 
-  console.log(`\n   Done: ${results.success} success, ${results.skipped} skipped, ${results.failed} failed\n`);
+  if (context.sidecar && preview.active) {
+    const before = await readFile(context.sidecar.path, 'utf-8').catch(() => null);
+    const after = context.sidecar.serialize();
+    if (before !== after && (before !== null || context.sidecar.manifest.files.length > 0)) {
+      await writeChange(context.sidecar.path, before, after);
+    }
+  } else if (context.sidecar) {
+    await context.sidecar.save();
+    log(`\n   Manifest: ${context.sidecar.path}`);
+  }
+
+  command.report?.(outputs, options);
+
+  log(`\n   Done: ${results.success} success, ${results.skipped} skipped, ${results.failed} failed\n`);
+
+  if (preview.active) {
+    const files = preview.files.length;
+    log(files > 0 ? `   ${options.check ? '❌' : '📝'} ${files} file(s) would change, nothing written\n` : '   Nothing would change\n');
+  }
+
+  // 0: all good (warnings allowed), 1: errors found or --check saw changes, 2: usage or internal error
+  if (results.failed > 0 || (options.check && preview.files.length > 0)) {
+    process.exitCode = 1;
+  }
 }
 
-main().catch(console.error);
+main().catch((error) => {
+  console.error(error);
+  process.exit(2);
+});
@@ -0,0 +1,287 @@
+/**
+ * Companion markdown files (`file.ts.ai.md`, `.ai/file.ts.md`, `.ai/file.md`)
+ *
+ * A companion carries a hand-written description, a Sections table
+ * (`| Section | Lines | Description |`) and notes for a source file that
+ * should not (or cannot) carry an embedded header. Syncing rewrites only the
+ * Sections table; everything else in the file is left as written.
+ *
+ * @module @physcode/ai-index/companion
+ */
+
+import { readFile, readdir, access } from 'fs/promises';
+import { constants, existsSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { createIssue } from './issues.mjs';
+
+export const COMPANION_SUFFIX = '.ai.md';
+
+// ============================================
+// Discovery
+// ============================================
+
+/**
+ * Possible companion paths, most preferred first
+ */
+export function companionCandidates(filePath) {
+  const dir = dirname(filePath);
+  const name = basename(filePath);
+
+  return [
+    join(dir, `${name}${COMPANION_SUFFIX}`),              // file.ts.ai.md
+    join(dir, '.ai', `${name}.md`),                       // .ai/file.ts.md
+    join(dir, '.ai', name.replace(/\.[^.]+$/, '.md')),    // .ai/file.md
+  ];
+}
+
+/**
+ * Find the existing companion of a file (null if there is none)
+ */
+export async function findCompanion(filePath) {
+  for (const candidate of companionCandidates(filePath)) {
+    try {
+      await access(candidate, constants.R_OK);
+      return candidate;
+    } catch {
+      // File doesn't exist, try next
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a path looks like a companion (`*.ai.md` or `.ai/*.md`)
+ */
+export function isCompanionPath(path) {
+  const name = basename(path);
+  return name.endsWith(COMPANION_SUFFIX) || (basename(dirname(path)) === '.ai' && name.endsWith('.md'));
+}
+
+/**
+ * Source file a companion describes (null if it no longer exists)
+ */
+export async function findCompanionSource(companionPath) {
+  const name = basename(companionPath);
+  const dir = dirname(companionPath);
+
+  if (name.endsWith(COMPANION_SUFFIX)) {
+    const source = join(dir, name.slice(0, -COMPANION_SUFFIX.length));
+    return existsSync(source) ? source : null;
+  }
+
+  // .ai/file.ts.md → file.ts, .ai/file.md → file.<any extension>
+  const parent = dirname(dir);
+  const stem = name.slice(0, -'.md'.length);
+  if (existsSync(join(parent, stem))) return join(parent, stem);
+
+  const entries = await readdir(parent).catch(() => []);
+  const match = entries.find(entry => entry.replace(/\.[^.]+$/, '') === stem && entry !== '.ai');
+  return match ? join(parent, match) : null;
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+const SECTIONS_HEADING = /^##\s*Sections?\s*$/i;
+
+/**
+ * Line range of the Sections table: `{ heading, start, end }` (0-based, end exclusive)
+ */
+function findSectionsTable(lines) {
+  const heading = lines.findIndex(line => SECTIONS_HEADING.test(line.trim()));
+  if (heading === -1) return null;
+
+  let start = heading + 1;
+  while (start < lines.length && !lines[start].trim()) start++;
+  let end = start;
+  while (end < lines.length && lines[end].trim().startsWith('|')) end++;
+
+  return { heading, start, end };
+}
+
+/**
+ * Parse companion markdown
+ *
+ * @returns {{ description: string, sections: Array<{ name, line, end, desc, row }>, notes: string }}
+ */
+export function parseCompanion(content) {
+  const result = {
+    description: '',
+    sections: [],
+    notes: '',
+  };
+
+  // Text between the title and the first ## heading
+  const descMatch = content.match(/^#[^#].*\n\n([\s\S]*?)(?=\n##|$)/);
+  if (descMatch) {
+    result.description = descMatch[1].trim();
+  }
+
+  const lines = content.split('\n');
+  const table = findSectionsTable(lines);
+  if (table) {
+    lines.slice(table.start, table.end).forEach((row, i) => {
+      const cells = row.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+      const [name, range, desc = ''] = cells;
+      // Skip the header and separator rows
+      if (!name || name === 'Section' || /^[-:\s]+$/.test(name)) return;
+
+      // "180-350" or "180"
+      const lineMatch = range?.match(/(\d+)(?:\s*[-–]\s*(\d+))?/);
+      if (lineMatch) {
+        result.sections.push({
+          name,
+          line: parseInt(lineMatch[1]),
+          end: parseInt(lineMatch[2] || lineMatch[1]),
+          desc,
+          row: table.start + i + 1,
+        });
+      }
+    });
+  }
+
+  const notesMatch = content.match(/##\s*Notes?\s*\n\n([\s\S]*?)(?=\n##|$)/i);
+  if (notesMatch) {
+    result.notes = notesMatch[1].trim();
+  }
+
+  return result;
+}
+
+/**
+ * Read and parse a companion file (null if it can't be read)
+ */
+export async function readCompanion(companionPath) {
+  try {
+    return parseCompanion(await readFile(companionPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Compare companion sections with the sections the file actually has
+ *
+ * Issues point at the companion's table rows.
+ *
+ * @param {Array<{ name, line, end, row? }>} sections - Companion sections
+ * @param {Object<string, { line, end }>} reference - From markers and the embedded header
+ * @param {number} totalLines - Lines in the source file
+ * @param {object} [options]
+ * @param {number} [options.tolerance=5] - Allowed drift in lines
+ * @returns {Array<{ code, severity, message, line }>} Empty if the companion is current
+ */
+export function checkCompanion(sections, reference, totalLines, options = {}) {
+  const tolerance = options.tolerance ?? 5;
+  const issues = [];
+  const names = new Set(sections.map(s => s.name));
+
+  for (const [name, actual] of Object.entries(reference)) {
+    if (!names.has(name)) {
+      issues.push(createIssue('AI009', `Section "${name}" (line ${actual.line}) is missing`));
+    }
+  }
+
+  for (const section of sections) {
+    const actual = reference[section.name];
+    if (section.end > totalLines) {
+      issues.push(createIssue('AI013', `Section "${section.name}" ends at line ${section.end}, file has ${totalLines}`, section.row));
+    }
+    if (!actual) {
+      issues.push(createIssue('AI010', `Section "${section.name}" is not in the file`, section.row));
+    } else if (Math.abs(section.line - actual.line) > tolerance || Math.abs(section.end - actual.end) > tolerance) {
+      issues.push(createIssue('AI011',
+        `Section "${section.name}": says ${section.line}-${section.end}, actual is ${actual.line}-${actual.end}`, section.row));
+    }
+  }
+
+  // Ranges may nest, but not partially overlap
+  const sorted = [...sections].sort((a, b) => a.line - b.line || b.end - a.end);
+  for (let i = 0; i < sorted.length; i++) {
+    for (let k = i + 1; k < sorted.length && sorted[k].line <= sorted[i].end; k++) {
+      if (sorted[k].end > sorted[i].end) {
+        const [a, b] = [sorted[i], sorted[k]];
+        issues.push(createIssue('AI012',
+          `Sections "${a.name}" (${a.line}-${a.end}) and "${b.name}" (${b.line}-${b.end}) overlap`, b.row));
+      }
+    }
+  }
+
+  return issues;
+}
+
+// ============================================
+// Writing
+// ============================================
+
+/**
+ * Format sections as a `| Section | Lines | Description |` table
+ */
+export function formatCompanionTable(sections) {
+  const rows = sections.map(s => [s.name, `${s.line}-${s.end}`, s.desc || '']);
+  const header = ['Section', 'Lines', 'Description'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const format = (cells) => `| ${cells.map((c, i) => c.padEnd(widths[i])).join(' | ')} |`;
+
+  return [
+    format(header),
+    `|${widths.map(w => '-'.repeat(w + 2)).join('|')}|`,
+    ...rows.map(format),
+  ];
+}
+
+/**
+ * Build companion content for `sections`
+ *
+ * A new companion gets a title and the table. An existing one keeps its
+ * title, description, notes and any other text; only the Sections table is
+ * replaced, and its descriptions win over detected ones.
+ *
+ * @param {string} filePath - Source file the companion describes
+ * @param {Array<{ name, line, end, desc }>} sections
+ * @param {string|null} existing - Current companion content
+ * @returns {{ content: string, sections: Array, added: string[], removed: string[] }}
+ */
+export function buildCompanionContent(filePath, sections, existing = null) {
+  const previous = existing ? parseCompanion(existing).sections : [];
+  const descriptions = new Map(previous.map(s => [s.name, s.desc]));
+
+  const merged = sections.map(s => ({ ...s, desc: descriptions.get(s.name) || s.desc || '' }));
+  const names = new Set(merged.map(s => s.name));
+  const added = merged.filter(s => !descriptions.has(s.name)).map(s => s.name);
+  const removed = previous.filter(s => !names.has(s.name)).map(s => s.name);
+  const table = formatCompanionTable(merged);
+
+  if (!existing) {
+    const content = [`# ${basename(filePath)}`, '', '## Sections', '', ...table, ''].join('\n');
+    return { content, sections: merged, added, removed };
+  }
+
+  const lines = existing.split('\n');
+  const found = findSectionsTable(lines);
+
+  if (found && found.end > found.start) {
+    lines.splice(found.start, found.end - found.start, ...table);
+  } else if (found) {
+    // Heading without a table
+    lines.splice(found.heading + 1, found.start - found.heading - 1, '', ...table, '');
+  } else {
+    // No Sections heading yet: add one before the first ## heading
+    let at = lines.findIndex(line => /^##\s/.test(line));
+    if (at === -1) {
+      while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+      lines.push('');
+      at = lines.length;
+    }
+    lines.splice(at, 0, '## Sections', '', ...table, '');
+  }
+
+  let content = lines.join('\n');
+  if (!content.endsWith('\n')) content += '\n';
+  return { content, sections: merged, added, removed };
+}
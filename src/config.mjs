@@ -0,0 +1,271 @@
+/**
+ * AI-Index project configuration
+ *
+ * `ai-index.config.mjs` (default export) or `.ai-indexrc.json`. Each file
+ * uses the nearest config above it, so packages in a monorepo can follow
+ * their own conventions. Globs are relative to the config's directory.
+ *
+ * @example
+ * export default {
+ *   include: ['src/**'],
+ *   exclude: ['**\/*.test.ts'],
+ *   minLines: 200,
+ *   overrides: [{ files: ['src/generated/**'], minLines: 1000 }],
+ *   languages: { ts: { regionStart: /^\/\/ ?region (.+)$/ } },
+ *   extensions: { '.vue': 'ts' },
+ *   descriptions: { 'store/nodes': 'Node CRUD' },
+ *   header: { placement: 'after-comments' },
+ *   verify: { strict: true, tolerance: 0, ignore: ['AI003'] },
+ * };
+ *
+ * @module @physcode/ai-index/config
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, extname, join, relative, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { LANGUAGE_PLUGINS, INDEX_FORMATS, getLanguagePlugin } from './engine.mjs';
+import { globToRegExp } from './files.mjs';
+import { parseIssueCodes } from './issues.mjs';
+
+export const CONFIG_FILES = ['ai-index.config.mjs', '.ai-indexrc.json'];
+
+export const PLACEMENTS = ['top', 'after-comments'];
+
+const PATTERN_KEYS = ['regionStart', 'regionEnd', 'sectionMarker'];
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Find the nearest config file walking up from `startDir`
+ *
+ * @param {(dir: string) => boolean} [within] - Stop at the first directory this rejects
+ */
+export function findConfigFile(startDir, within = () => true) {
+  let dir = resolve(startDir);
+  while (within(dir)) {
+    for (const name of CONFIG_FILES) {
+      const candidate = join(dir, name);
+      if (existsSync(candidate)) return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * Load and validate a config file
+ */
+export async function loadConfig(configPath) {
+  const path = resolve(configPath);
+  let raw;
+
+  try {
+    raw = path.endsWith('.json')
+      ? JSON.parse(await readFile(path, 'utf-8'))
+      : (await import(pathToFileURL(path).href)).default;
+  } catch (error) {
+    throw new Error(`Cannot load config ${configPath}: ${error.message}`);
+  }
+
+  return normalizeConfig(raw || {}, path);
+}
+
+/**
+ * `"/^# region (.+)$/i"` or `"^# region (.+)$"` from JSON → RegExp
+ */
+function toRegExp(value, where) {
+  if (value instanceof RegExp || value === null) return value;
+  if (typeof value !== 'string') throw new Error(`${where}: expected a regex`);
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+}
+
+function toGlobs(value, where) {
+  if (value === undefined) return null;
+  const globs = Array.isArray(value) ? value : [value];
+  if (!globs.every(g => typeof g === 'string')) throw new Error(`${where}: expected glob strings`);
+  return globs.map(globToRegExp);
+}
+
+/**
+ * Settings that may appear at the top level and in `overrides`
+ *
+ * @param {string} where - Error message prefix (`<config>: overrides[0].`)
+ */
+function normalizeSettings(raw, where, dir) {
+  const settings = {};
+
+  if (raw.minLines !== undefined) {
+    if (!Number.isInteger(raw.minLines) || raw.minLines < 0) throw new Error(`${where}minLines: expected a whole number`);
+    settings.minLines = raw.minLines;
+  }
+  if (raw.descriptions !== undefined) settings.descriptions = { ...raw.descriptions };
+  if (raw.hash !== undefined) settings.hash = Boolean(raw.hash);
+  if (raw.tokens !== undefined) {
+    if (raw.tokens && typeof raw.tokens === 'object') {
+      if (typeof raw.tokens.vocab !== 'string') throw new Error(`${where}tokens.vocab: expected a file path`);
+      settings.tokens = true;
+      settings.tokenVocab = resolve(dir, raw.tokens.vocab);
+    } else {
+      settings.tokens = Boolean(raw.tokens);
+    }
+  }
+  if (raw.minTokens !== undefined) {
+    if (!Number.isInteger(raw.minTokens) || raw.minTokens < 0) throw new Error(`${where}minTokens: expected a whole number`);
+    settings.minTokens = raw.minTokens;
+  }
+  if (raw.header?.placement !== undefined) {
+    if (!PLACEMENTS.includes(raw.header.placement)) {
+      throw new Error(`${where}header.placement: expected ${PLACEMENTS.join(' or ')}`);
+    }
+    settings.placement = raw.header.placement;
+  }
+  if (raw.verify?.strict !== undefined) settings.strict = Boolean(raw.verify.strict);
+  if (raw.verify?.ignore !== undefined) {
+    try {
+      settings.ignore = parseIssueCodes(raw.verify.ignore);
+    } catch (error) {
+      throw new Error(`${where}verify.ignore: ${error.message}`);
+    }
+  }
+  if (raw.verify?.tolerance !== undefined) {
+    if (!Number.isInteger(raw.verify.tolerance) || raw.verify.tolerance < 0) {
+      throw new Error(`${where}verify.tolerance: expected a whole number`);
+    }
+    settings.tolerance = raw.verify.tolerance;
+  }
+
+  return settings;
+}
+
+export function normalizeConfig(raw, path) {
+  const where = path;
+  const languages = {};
+
+  for (const [name, language] of Object.entries(raw.languages || {})) {
+    const plugin = { ...language };
+    for (const key of PATTERN_KEYS) {
+      if (key in plugin) plugin[key] = toRegExp(plugin[key], `${where}: languages.${name}.${key}`);
+    }
+    if (plugin.autoPatterns) {
+      plugin.autoPatterns = plugin.autoPatterns.map(p => ({ ...p, pattern: toRegExp(p.pattern, `${where}: languages.${name}.autoPatterns`) }));
+    }
+    if (plugin.extensions) plugin.extensions = plugin.extensions.map(ext => ext.toLowerCase());
+    if (!LANGUAGE_PLUGINS[name] && !(plugin.extensions?.length && plugin.indexFormat in INDEX_FORMATS)) {
+      throw new Error(`${where}: new language "${name}" needs extensions and a valid indexFormat`);
+    }
+    languages[name] = plugin;
+  }
+
+  const extensions = {};
+  for (const [ext, name] of Object.entries(raw.extensions || {})) {
+    if (!LANGUAGE_PLUGINS[name] && !languages[name]) {
+      throw new Error(`${where}: extension ${ext} maps to unknown language "${name}"`);
+    }
+    extensions[ext.toLowerCase()] = name;
+  }
+
+  return {
+    path,
+    dir: dirname(path),
+    include: toGlobs(raw.include, `${where}: include`),
+    exclude: toGlobs(raw.exclude, `${where}: exclude`) || [],
+    languages,
+    extensions,
+    settings: normalizeSettings(raw, `${where}: `, dirname(path)),
+    overrides: (raw.overrides || []).map((override, i) => ({
+      files: toGlobs(override.files, `${where}: overrides[${i}].files`) || [],
+      settings: normalizeSettings(override, `${where}: overrides[${i}].`, dirname(path)),
+    })),
+  };
+}
+
+// ============================================
+// Per-File Resolution
+// ============================================
+
+/**
+ * Language plugin for a file, with the config's mappings and patterns applied
+ */
+export function resolveLanguage(filePath, config) {
+  if (!config) return getLanguagePlugin(filePath);
+
+  const ext = extname(filePath).toLowerCase();
+  let name = config.extensions[ext]
+    || Object.keys(config.languages).find(n => config.languages[n].extensions?.includes(ext));
+  const base = name ? { name, ...LANGUAGE_PLUGINS[name] } : getLanguagePlugin(filePath);
+  name = name || base?.name;
+  if (!name) return null;
+
+  return { ...base, ...config.languages[name], name };
+}
+
+/**
+ * Resolve per-file settings from the nearest (or an explicit) config
+ *
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Use this config for every file
+ * @param {boolean} [options.disabled] - Ignore config files (--no-config)
+ * @param {(dir: string) => boolean} [options.within] - Directories the search may look in
+ * @param {(configPath: string) => Promise<void>} [options.access] - Called before a config
+ *   is loaded (and, for `.mjs`, executed); throw to refuse it
+ */
+export async function createConfigResolver(options = {}) {
+  const cache = new Map(); // directory → config (or null)
+  const explicit = options.configPath ? await loadConfig(options.configPath) : null;
+
+  async function configFor(filePath) {
+    if (options.disabled) return null;
+    if (explicit) return explicit;
+
+    const dir = dirname(resolve(filePath));
+    if (!cache.has(dir)) {
+      const path = findConfigFile(dir, options.within);
+      if (!cache.has(path)) {
+        if (path) await options.access?.(path);
+        cache.set(path, path ? await loadConfig(path) : null);
+      }
+      cache.set(dir, cache.get(path));
+    }
+    return cache.get(dir);
+  }
+
+  return {
+    configFor,
+
+    /**
+     * @returns {Promise<{ config, included: boolean, plugin, settings: object }>}
+     */
+    async forFile(filePath) {
+      const config = await configFor(filePath);
+      if (!config) {
+        return { config: null, included: true, plugin: getLanguagePlugin(filePath), settings: {} };
+      }
+
+      const path = relative(config.dir, resolve(filePath)).split(sep).join('/');
+      const matches = (globs) => globs.some(glob => glob.test(path));
+      const included = (!config.include || matches(config.include)) && !matches(config.exclude);
+
+      const settings = { ...config.settings };
+      for (const override of config.overrides) {
+        if (!matches(override.files)) continue;
+        const { descriptions, ...rest } = override.settings;
+        Object.assign(settings, rest);
+        if (descriptions) settings.descriptions = { ...settings.descriptions, ...descriptions };
+      }
+
+      const plugin = resolveLanguage(filePath, config);
+      if (plugin && settings.descriptions) {
+        plugin.descriptions = { ...plugin.descriptions, ...settings.descriptions };
+      }
+
+      return { config, included, plugin, settings };
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Minimal unified diff for --dry-run previews
+ *
+ * Header changes are local, so the common prefix and suffix are skipped and
+ * only the middle is diffed (LCS). Very large middles fall back to a plain
+ * replace hunk. A missing newline at the end of either side gets git's
+ * `\ No newline at end of file` marker, so the patch applies.
+ *
+ * @module @physcode/ai-index/diff
+ */
+
+// Above this many LCS cells the middle is shown as removed + added
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Line operations turning `a` into `b`: `{ type: ' ' | '-' | '+', text }`
+ */
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: ' ', text }));
+  const n = endA - start;
+  const m = endB - start;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    ops.push(...a.slice(start, endA).map(text => ({ type: '-', text })));
+    ops.push(...b.slice(start, endB).map(text => ({ type: '+', text })));
+  } else {
+    // lcs[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ type: ' ', text: a[start + i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ type: '-', text: a[start + i] });
+        i++;
+      } else {
+        ops.push({ type: '+', text: b[start + j] });
+        j++;
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+  return ops;
+}
+
+/**
+ * Unified diff of two texts (empty string when they are equal)
+ *
+ * @param {string|null} before - Old content (null for a new file)
+ * @param {string} after - New content
+ * @param {object} [options]
+ * @param {string} [options.fromFile] - Name in the `---` line
+ * @param {string} [options.toFile] - Name in the `+++` line
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ */
+export function unifiedDiff(before, after, options = {}) {
+  if (before === after) return '';
+
+  const context = options.context ?? 3;
+  // Lines keep their "\n", so a last line without one differs from the same text with one
+  const toLines = (text) => text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+  const ops = diffLines(toLines(before), toLines(after));
+  const lines = [
+    `--- ${before === null ? '/dev/null' : options.fromFile || 'a'}`,
+    `+++ ${options.toFile || 'b'}`,
+  ];
+
+  // Line numbers before each op
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let n = 1;
+  for (const op of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (op.type !== '+') o++;
+    if (op.type !== '-') n++;
+  }
+
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === ' ') {
+      k++;
+      continue;
+    }
+
+    // Extend the hunk while changes are within 2 * context lines of each other
+    const from = Math.max(0, k - context);
+    let to = k;
+    let last = k;
+    while (to < ops.length && to - last <= 2 * context) {
+      if (ops[to].type !== ' ') last = to;
+      to++;
+    }
+    to = Math.min(ops.length, last + context + 1);
+
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? oldLine[from] - 1 : oldLine[from];
+    const newStart = newCount === 0 ? newLine[from] - 1 : newLine[from];
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      lines.push(op.type + op.text.replace(/\n$/, ''));
+      if (!op.text.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+    k = to;
+  }
+
+  return lines.join('\n');
+}
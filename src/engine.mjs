@@ -0,0 +1,517 @@
+/**
+ * AI-Index core engine
+ *
+ * The language table, section detection, index merging and verification
+ * shared by the CLI, the library and the MCP server. Header parsing and
+ * generation live in header.mjs and are re-exported from here.
+ *
+ * @module @physcode/ai-index/engine
+ */
+
+import { extname } from 'path';
+import { scanRegions, findSections, checkNesting } from './regions.mjs';
+import { createIssue } from './issues.mjs';
+import { INDEX_FORMATS, parseIndex, stripIndex, hashSection } from './header.mjs';
+import { scanJsonSections } from './scanners/json.mjs';
+import { scanJsSections } from './scanners/javascript.mjs';
+import { scanPythonSections } from './scanners/python.mjs';
+import { scanRustSections, scanGoSections, scanCSharpSections, scanJavaSections } from './scanners/c-family.mjs';
+
+export {
+  parseIndex, generateIndex, insertIndex, stripIndex, canEmbedIndex,
+  buildIndexedContent, formatTable, hashSection, hasHashes, hasTokens, INDEX_FORMATS,
+} from './header.mjs';
+export { scanRegions, findSections, checkNesting } from './regions.mjs';
+
+// ============================================
+// Language Plugins
+// ============================================
+
+export const LANGUAGE_PLUGINS = {
+  // TypeScript / JavaScript
+  ts: {
+    extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'],
+    indexFormat: 'jsdoc', // /** @ai-index ... */
+    regionStart: /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/#endregion/,
+    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanJsSections, // One section per top-level declaration
+  },
+
+  // Python
+  python: {
+    extensions: ['.py', '.pyw', '.pyi'],
+    indexFormat: 'docstring', // """ @ai-index ... """
+    regionStart: /^#\s*region\s*[:\s]*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^#\s*endregion/,
+    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanPythonSections, // Top-level classes and functions by indentation
+  },
+
+  // Rust
+  rust: {
+    extensions: ['.rs'],
+    indexFormat: 'doc-comment', // //! @ai-index ...
+    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/\s*endregion/,
+    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanRustSections, // impl/struct/fn blocks, brace-matched
+  },
+
+  // Go
+  go: {
+    extensions: ['.go'],
+    indexFormat: 'block-comment', // /* @ai-index ... */
+    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/\s*endregion/,
+    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanGoSections, // func/type blocks, brace-matched
+  },
+
+  // C#
+  csharp: {
+    extensions: ['.cs'],
+    indexFormat: 'xml-doc', // /// @ai-index ...
+    regionStart: /^\s*#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\s*#endregion/,
+    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanCSharpSections, // Types and members, brace-matched
+  },
+
+  // Java
+  java: {
+    extensions: ['.java'],
+    indexFormat: 'javadoc', // /** @ai-index ... */
+    regionStart: /^\/\/\s*region\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/\s*endregion/,
+    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    scanner: scanJavaSections, // Types and members, brace-matched
+  },
+
+  // Kotlin
+  kotlin: {
+    extensions: ['.kt', '.kts'],
+    indexFormat: 'javadoc', // /** @ai-index ... */
+    regionStart: /^\/\/\s*region\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/\s*endregion/,
+    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    autoPatterns: [
+      { pattern: /^import\s+/m, section: 'imports', priority: 1 },
+      { pattern: /^package\s+/m, section: 'package', priority: 0 },
+      { pattern: /^(?:\w+\s+)*(?:class|interface|object)\s+/m, section: 'classes', priority: 2 },
+      { pattern: /^(?:\w+\s+)*fun\s+/m, section: 'functions', priority: 3 },
+    ]
+  },
+
+  // Scala
+  scala: {
+    extensions: ['.scala', '.sc'],
+    indexFormat: 'javadoc', // /** @ai-index ... */
+    regionStart: /^\/\/\s*region\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^\/\/\s*endregion/,
+    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    autoPatterns: [
+      { pattern: /^import\s+/m, section: 'imports', priority: 1 },
+      { pattern: /^package\s+/m, section: 'package', priority: 0 },
+      { pattern: /^(?:\w+\s+)*(?:class|trait|object)\s+/m, section: 'classes', priority: 2 },
+      { pattern: /^\s*def\s+/m, section: 'functions', priority: 3 },
+    ]
+  },
+
+  // YAML
+  yaml: {
+    extensions: ['.yaml', '.yml'],
+    indexFormat: 'comment', // # @ai-index ...
+    regionStart: /^#\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
+    regionEnd: /^#\s*endregion/,
+    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
+    autoPatterns: []
+  },
+
+  // JSON
+  json: {
+    extensions: ['.json', '.json5', '.jsonc'],
+    indexFormat: 'key', // No comments in JSON, no embedded index
+    regionStart: null, // No region support in JSON
+    regionEnd: null,
+    sectionMarker: /"__section__(\w+)__"/,
+    scanner: scanJsonSections, // Top-level keys (deeper with --depth)
+  }
+};
+
+// Extension → language name (later registrations win)
+const EXTENSIONS = new Map();
+for (const [name, plugin] of Object.entries(LANGUAGE_PLUGINS)) {
+  for (const ext of plugin.extensions) EXTENSIONS.set(ext, name);
+}
+
+/**
+ * Add or replace a language
+ *
+ * The plugin has the same shape as the built-in ones. `extensions` and
+ * `indexFormat` are required; the rest is optional (no region markers
+ * falls back to `//#region`, no `scanner` or `autoPatterns` means a
+ * single "main" section for unmarked files). `descriptions` maps section
+ * names to default descriptions for this language.
+ *
+ * @example
+ * registerLanguage('proto', {
+ *   extensions: ['.proto'],
+ *   indexFormat: 'block-comment',
+ *   autoPatterns: [{ pattern: /^message\s+/, section: 'messages' }],
+ * });
+ */
+export function registerLanguage(name, plugin) {
+  if (!Array.isArray(plugin?.extensions) || plugin.extensions.length === 0) {
+    throw new Error(`Language "${name}": extensions must be a non-empty array`);
+  }
+  if (!(plugin.indexFormat in INDEX_FORMATS)) {
+    throw new Error(`Language "${name}": unknown indexFormat "${plugin.indexFormat}" (expected ${Object.keys(INDEX_FORMATS).join(', ')})`);
+  }
+
+  const extensions = plugin.extensions.map(ext => ext.toLowerCase());
+  LANGUAGE_PLUGINS[name] = { ...plugin, extensions };
+  for (const ext of extensions) EXTENSIONS.set(ext, name);
+  return { name, ...LANGUAGE_PLUGINS[name] };
+}
+
+/**
+ * Get language plugin for a file
+ */
+export function getLanguagePlugin(filePath) {
+  const name = EXTENSIONS.get(extname(filePath).toLowerCase());
+  return name ? { name, ...LANGUAGE_PLUGINS[name] } : null;
+}
+
+// ============================================
+// Detection
+// ============================================
+
+// Default descriptions by section name
+export const SECTION_DESCRIPTIONS = {
+  // Common
+  'imports': 'External dependencies',
+  'types': 'Type definitions',
+  'config': 'Configuration',
+  'main': 'Main content',
+  'tests': 'Unit tests',
+  // TypeScript/JavaScript
+  'types/state': 'State interface',
+  'types/actions': 'Action interfaces',
+  'state/initial': 'Initial state',
+  'store': 'State store',
+  'selectors': 'State selectors',
+  'hooks': 'React hooks',
+  'debug': 'Debug utilities',
+  // Python
+  'classes': 'Class definitions',
+  'models': 'Data models',
+  'dataclasses': 'Dataclass definitions',
+  'routes': 'API routes',
+  'async': 'Async functions',
+  // Rust
+  'modules': 'Module declarations',
+  'structs': 'Struct definitions',
+  'enums': 'Enum definitions',
+  'impl': 'Implementations',
+  'functions': 'Function definitions',
+  // Go
+  'interfaces': 'Interface definitions',
+  'methods': 'Method definitions',
+  // C#/Java
+  'namespace': 'Namespace declaration',
+  'package': 'Package declaration',
+};
+
+/**
+ * Sections from the language's scanner, or its line patterns
+ */
+export function detectSectionsAuto(content, plugin, options = {}) {
+  if (plugin?.scanner) {
+    return plugin.scanner(content, options);
+  }
+
+  const sections = [];
+  const lines = content.split('\n');
+  const patterns = plugin?.autoPatterns || [];
+
+  // Track detected sections with their line numbers
+  const detected = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNum = i + 1;
+    const lineContent = lines[i];
+
+    for (const { pattern, section, priority } of patterns) {
+      if (pattern.test(lineContent)) {
+        detected.push({ section, line: lineNum, priority: priority || 5 });
+        break; // Only first match per line
+      }
+    }
+  }
+
+  // Group consecutive lines with same section
+  let currentSection = null;
+  let sectionStart = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNum = i + 1;
+    const detection = detected.find(d => d.line === lineNum);
+
+    if (detection) {
+      if (currentSection && currentSection !== detection.section) {
+        sections.push({
+          name: currentSection,
+          line: sectionStart,
+          end: lineNum - 1
+        });
+      }
+      if (currentSection !== detection.section) {
+        currentSection = detection.section;
+        sectionStart = lineNum;
+      }
+    }
+  }
+
+  // Close last section
+  if (currentSection) {
+    sections.push({
+      name: currentSection,
+      line: sectionStart,
+      end: lines.length
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Find sections: explicit markers, then auto-detection, then a single "main"
+ */
+export function detectSections(content, plugin, options = {}) {
+  // Find sections (using plugin-specific patterns)
+  let sections = findSections(content, plugin);
+
+  // If no explicit sections, try auto-detection
+  if (sections.length === 0) {
+    sections = detectSectionsAuto(content, plugin, options);
+  }
+
+  // If still no sections, create a single "main" section
+  if (sections.length === 0) {
+    sections = [{ name: 'main', line: 1, end: content.split('\n').length, desc: 'Main content' }];
+  }
+
+  // Add descriptions based on section names
+  for (const section of sections) {
+    if (!section.desc) {
+      section.desc = plugin?.descriptions?.[section.name] || SECTION_DESCRIPTIONS[section.name] || '';
+    }
+  }
+
+  return sections;
+}
+
+// A renamed section must share at least this much of its range with the old row
+const RENAME_OVERLAP = 0.5;
+
+/**
+ * Shared lines of two ranges relative to their combined span (0..1)
+ */
+function rangeOverlap(a, b) {
+  const shared = Math.min(a.end, b.end) - Math.max(a.line, b.line) + 1;
+  if (shared <= 0) return 0;
+  return shared / (Math.max(a.end, b.end) - Math.min(a.line, b.line) + 1);
+}
+
+/**
+ * Carry hand-written descriptions and custom columns of indexed rows over to
+ * freshly detected sections
+ *
+ * Rows are matched by name, then (for regions that were renamed) by the
+ * unmatched row whose range overlaps the section most. Positions always
+ * come from `detected`.
+ *
+ * @param {Array<{ name, line, end, desc }>} detected
+ * @param {Object<string, { line, end, desc, extra? }>|null} indexed - Existing rows
+ * @param {(line: number) => number} [toLine] - Maps row lines to `detected` lines
+ * @returns {{ sections: Array, renamed: Array<{ from: string, to: string }>, removed: string[] }}
+ */
+export function mergeWithIndex(detected, indexed, toLine = (line) => line) {
+  const rows = new Map(Object.entries(indexed || {}).map(([name, row]) =>
+    [name, { ...row, name, line: toLine(row.line), end: toLine(row.end) }]));
+  const names = new Set(detected.map(s => s.name));
+  const unmatched = new Set([...rows.values()].filter(row => !names.has(row.name)));
+  const renamed = [];
+
+  const carry = (section, row) => ({
+    ...section,
+    desc: row.desc || section.desc,
+    ...(row.extra ? { extra: row.extra } : {}),
+  });
+
+  const sections = detected.map(section => {
+    const row = rows.get(section.name);
+    if (row) return carry(section, row);
+
+    let best = null;
+    let bestOverlap = 0;
+    for (const candidate of unmatched) {
+      const overlap = rangeOverlap(section, candidate);
+      if (overlap >= RENAME_OVERLAP && overlap > bestOverlap) {
+        best = candidate;
+        bestOverlap = overlap;
+      }
+    }
+    if (!best) return section;
+
+    unmatched.delete(best);
+    renamed.push({ from: best.name, to: section.name });
+    return carry(section, best);
+  });
+
+  return { sections, renamed, removed: [...unmatched].map(row => row.name) };
+}
+
+/**
+ * Move indexed rows to their region markers, keeping descriptions
+ *
+ * Like mergeWithIndex with the markers as the detected sections: a row whose
+ * marker was renamed follows it, a row whose marker is gone is dropped.
+ *
+ * @returns {{ sections: Array, renamed: Array<{ from: string, to: string }>, removed: string[] }}
+ */
+export function mergeWithMarkers(indexed, content, plugin, toLine = (line) => line) {
+  const merge = mergeWithIndex(findSections(content, plugin), indexed, toLine);
+  merge.sections.sort((a, b) => a.line - b.line);
+  return merge;
+}
+
+/**
+ * Sections whose content differs from the hash recorded in the header
+ *
+ * Current ranges come from the region markers, or from the scanner in files
+ * without markers, matched by name. A section found by neither keeps its
+ * recorded range. Ranges are measured without the header like the recorded
+ * hashes were. Sections without a recorded hash are skipped.
+ *
+ * @returns {Array<{ name, line, end, row, recorded, current }>} Lines are in the current content
+ */
+export function findChangedSections(content, plugin) {
+  const index = parseIndex(content, plugin.indexFormat);
+  if (!index) return [];
+
+  const body = stripIndex(content, index);
+  const bodyLines = body.split('\n');
+  const height = content.split('\n').length - bodyLines.length;
+  const toBody = (line) => line > index.endLine ? line - height : line;
+  const toContent = (line) => line >= index.startLine ? line + height : line;
+  const ranges = new Map(detectSections(body, plugin).map(s => [s.name, s]));
+
+  const changed = [];
+  for (const [name, section] of Object.entries(index.sections)) {
+    if (!section.hash) continue;
+    const range = ranges.get(name) || { line: toBody(section.line), end: toBody(section.end) };
+    const current = hashSection(bodyLines, range);
+    if (current !== section.hash) {
+      changed.push({
+        name,
+        line: toContent(range.line),
+        end: toContent(range.end),
+        row: section.row,
+        recorded: section.hash,
+        current,
+      });
+    }
+  }
+  return changed;
+}
+
+/**
+ * Compare indexed sections (name → { line, end, row? }) with the file
+ *
+ * Rows backed by region markers are compared with the markers, the others
+ * with the language scanner (run without the header, like generate does).
+ * In a file with markers, rows without one are reported.
+ * Issues point at the index row of the section when it is known (`row`),
+ * otherwise at the marker in the code. Recorded hashes are compared with the
+ * current section content, `@total-lines` with the file length.
+ *
+ * @param {object} [options]
+ * @param {number} [options.tolerance=5] - Allowed drift between index and marker lines
+ * @returns {Array<{ code, severity, message, line }>}
+ */
+export function checkSections(content, plugin, indexed, options = {}) {
+  const tolerance = options.tolerance ?? 5;
+  const lines = content.split('\n');
+  const issues = [];
+
+  // Verify each section's line numbers
+  for (const [name, section] of Object.entries(indexed)) {
+    if (section.line > lines.length || section.end > lines.length) {
+      issues.push(createIssue('AI002', `Section "${name}": line numbers exceed file length`, section.row));
+    }
+  }
+
+  // Check for explicit markers and verify they match
+  const { sections: explicitSections, issues: markerIssues } = scanRegions(content, plugin);
+  for (const issue of markerIssues) {
+    issues.push(createIssue('AI006', `Line ${issue.line}: ${issue.message}`, issue.line));
+  }
+
+  for (const explicit of explicitSections) {
+    const section = indexed[explicit.name];
+    if (!section) {
+      issues.push(createIssue('AI003', `Section "${explicit.name}" in code but not in index`, explicit.line));
+    } else if (Math.abs(section.line - explicit.line) > tolerance) {
+      issues.push(createIssue('AI004',
+        `Section "${explicit.name}": index says line ${section.line}, actual is ${explicit.line}`,
+        section.row ?? explicit.line));
+    } else if (section.depth !== undefined && section.depth !== explicit.depth) {
+      issues.push(createIssue('AI005',
+        `Section "${explicit.name}": nested at level ${explicit.depth} in code, ${section.depth} in index`,
+        section.row ?? explicit.line));
+    }
+  }
+
+  // In a file with markers every row should have one; the others are left over from renames
+  const markers = new Set(explicitSections.map(s => s.name));
+  if (markers.size > 0) {
+    for (const [name, section] of Object.entries(indexed)) {
+      if (!markers.has(name)) {
+        issues.push(createIssue('AI016', `Section "${name}" in index but not in code`, section.row ?? section.line));
+      }
+    }
+  }
+
+  // Sections without markers (scanner or JSON keys) at the depth they were indexed with
+  const index = plugin && parseIndex(content, plugin.indexFormat);
+  const body = index ? stripIndex(content, index) : content;
+  const height = lines.length - body.split('\n').length;
+  const toContent = (line) => index && line >= index.startLine ? line + height : line;
+  const depth = Math.max(1, ...Object.values(indexed).map(s => (s.depth || 0) + 1));
+  for (const detected of detectSections(body, plugin, { depth })) {
+    const section = indexed[detected.name];
+    const actual = toContent(detected.line);
+    if (section && !markers.has(detected.name) && Math.abs(section.line - actual) > tolerance) {
+      issues.push(createIssue('AI004',
+        `Section "${detected.name}": index says line ${section.line}, actual is ${actual}`, section.row));
+    }
+  }
+
+  if (index?.totalLines != null && index.totalLines !== lines.length) {
+    issues.push(createIssue('AI008', `File has ${lines.length} lines, index was written for ${index.totalLines}`));
+  }
+
+  for (const { name, message } of checkNesting(indexed)) {
+    issues.push(createIssue('AI007', message, indexed[name].row ?? indexed[name].line));
+  }
+
+  if (Object.values(indexed).some(s => s.hash)) {
+    for (const section of findChangedSections(content, plugin)) {
+      issues.push(createIssue('AI015',
+        `Section "${section.name}": content changed since it was indexed, description may be stale`, section.row));
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,396 @@
+/**
+ * AI-Index file discovery
+ *
+ * Expands file, directory and glob arguments into the files to process.
+ * Walks respect .gitignore and .ai-indexignore, skip dependency and tool
+ * cache directories, and skip binary files.
+ *
+ * @module @physcode/ai-index/files
+ */
+
+import { readFile, readdir, stat, open } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+// ============================================
+// Defaults
+// ============================================
+
+export const IGNORE_FILES = ['.gitignore', '.ai-indexignore'];
+
+/**
+ * Always skipped during walks (gitignore syntax)
+ *
+ * Only names that never hold source. `dist/`, `build/`, `out/` and the like
+ * are left to .gitignore: `src/out/` may well be code.
+ */
+export const DEFAULT_IGNORES = [
+  '.git/',
+  'node_modules/',
+  'bower_components/',
+  '.next/',
+  '.nuxt/',
+  '.turbo/',
+  '.cache/',
+  '__pycache__/',
+  '.venv/',
+  'venv/',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  'package-lock.json',
+  'pnpm-lock.yaml',
+];
+
+const BINARY_SNIFF_BYTES = 8000;
+
+// ============================================
+// Glob Matching
+// ============================================
+
+/**
+ * Check if a string contains glob syntax
+ */
+export function isGlob(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Convert a glob (`*`, `**`, `?`, `[abc]`, `{a,b}`) to a RegExp
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${globSource(glob)}$`);
+}
+
+function globSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') {
+          // `**/` matches zero or more directories
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = close;
+    } else if (c === '{') {
+      const close = matchingBrace(glob, i);
+      if (close === -1) {
+        source += '\\{';
+        continue;
+      }
+      const options = splitTopLevel(glob.slice(i + 1, close));
+      source += `(?:${options.map(globSource).join('|')})`;
+      i = close;
+    } else {
+      source += c.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+function matchingBrace(glob, open) {
+  let depth = 0;
+  for (let i = open; i < glob.length; i++) {
+    if (glob[i] === '{') depth++;
+    if (glob[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function splitTopLevel(list) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const c of list) {
+    if (c === '{') depth++;
+    if (c === '}') depth--;
+    if (c === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Static directory prefix of a glob (`src/app/**\/*.ts` → `src/app`)
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (isGlob(segment)) break;
+    base.push(segment);
+  }
+  return base.join('/') || (pattern.startsWith('/') ? '/' : '.');
+}
+
+// ============================================
+// Ignore Rules
+// ============================================
+
+/**
+ * Parse gitignore-style content into rules relative to `base`
+ */
+export function parseIgnoreRules(content, base) {
+  const rules = [];
+
+  for (let line of content.split('\n')) {
+    line = line.replace(/\r$/, '');
+    if (!line.trim() || line.startsWith('#')) continue;
+    line = line.replace(/(?<!\\)\s+$/, '');
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to `base`
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+
+    const source = globSource(line);
+    rules.push({
+      base,
+      negate,
+      dirOnly,
+      regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Check a path against rules, last matching rule wins
+ */
+export function isIgnored(rules, absPath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    const rel = toPosix(relative(rule.base, absPath));
+    if (!rel || rel.startsWith('..')) continue;
+    if (rule.regex.test(rel)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+async function readIgnoreRules(dir) {
+  const rules = [];
+  for (const name of IGNORE_FILES) {
+    try {
+      rules.push(...parseIgnoreRules(await readFile(join(dir, name), 'utf-8'), dir));
+    } catch {
+      // No ignore file here
+    }
+  }
+  return rules;
+}
+
+/**
+ * Rules from ignore files in `dir` and its ancestors up to the git root
+ */
+async function ancestorRules(dir) {
+  const dirs = [];
+  let current = resolve(dir);
+
+  while (true) {
+    dirs.unshift(current);
+    if (existsSync(join(current, '.git'))) break;
+    const parent = dirname(current);
+    if (parent === current) {
+      // Not inside a repository: only the walk root's own ignore files count
+      dirs.splice(0, dirs.length - 1);
+      break;
+    }
+    current = parent;
+  }
+
+  const rules = [];
+  for (const d of dirs) {
+    rules.push(...await readIgnoreRules(d));
+  }
+  return rules;
+}
+
+// ============================================
+// Walk
+// ============================================
+
+/**
+ * Detect binary files by looking for NUL bytes in the first chunk
+ */
+export async function isBinaryFile(filePath) {
+  const handle = await open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Recursively list files under `root`, honoring ignore rules
+ *
+ * @param {string} root - Directory to walk
+ * @param {object} [options]
+ * @param {(file: string) => boolean|Promise<boolean>} [options.filter] - Keep only matching files (e.g. supported languages)
+ * @param {string[]} [options.ignore] - Extra gitignore-style patterns relative to `root`
+ */
+export async function walk(root, options = {}) {
+  const absRoot = resolve(root);
+  const defaults = parseIgnoreRules([...DEFAULT_IGNORES, ...(options.ignore || [])].join('\n'), absRoot);
+  const files = [];
+
+  async function visit(dir, rules, isRoot = false) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    const localRules = isRoot ? rules : [...rules, ...await readIgnoreRules(resolve(dir))];
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      const absPath = resolve(path);
+
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        // Follow links to files, never to directories (avoids cycles)
+        const target = await stat(path).catch(() => null);
+        isDirectory = false;
+        isFile = Boolean(target?.isFile());
+      }
+
+      if (isDirectory) {
+        if (!isIgnored(localRules, absPath, true)) {
+          await visit(path, localRules);
+        }
+        continue;
+      }
+
+      if (!isFile || isIgnored(localRules, absPath, false)) continue;
+      if (options.filter && !await options.filter(path)) continue;
+      if (await isBinaryFile(path).catch(() => true)) continue;
+
+      files.push(path);
+    }
+  }
+
+  await visit(root, [...defaults, ...await ancestorRules(absRoot)], true);
+  return files;
+}
+
+/**
+ * Expand file, directory and glob arguments
+ *
+ * Explicit file paths are always kept; directories and globs are walked.
+ *
+ * @returns {Promise<{ files: string[], missing: string[] }>}
+ */
+export async function collectFiles(patterns, options = {}) {
+  const files = [];
+  const missing = [];
+
+  for (const raw of patterns) {
+    const pattern = toPosix(raw).replace(/^\.\/(?=.)/, '');
+
+    if (existsSync(raw)) {
+      const fileStat = await stat(raw);
+      if (fileStat.isFile()) {
+        files.push(raw);
+      } else if (fileStat.isDirectory()) {
+        files.push(...await walk(raw, options));
+      }
+      continue;
+    }
+
+    if (isGlob(pattern)) {
+      const base = globBase(pattern);
+      const regex = globToRegExp(pattern);
+      if (existsSync(base)) {
+        const matches = await walk(base, options);
+        files.push(...matches.filter(file => regex.test(toPosix(file))));
+      }
+      continue;
+    }
+
+    missing.push(raw);
+  }
+
+  return { files: [...new Set(files)], missing };
+}
+
+/**
+ * Check if a file is one of, or lies under, the given file, directory and glob arguments
+ */
+export function matchesPatterns(file, patterns) {
+  const absFile = resolve(file);
+  const posixFile = toPosix(file).replace(/^\.\/(?=.)/, '');
+
+  return patterns.some(raw => {
+    const pattern = toPosix(raw).replace(/^\.\/(?=.)/, '');
+    if (existsSync(raw)) {
+      const absPattern = resolve(raw);
+      return absFile === absPattern || absFile.startsWith(absPattern.endsWith(sep) ? absPattern : absPattern + sep);
+    }
+    return isGlob(pattern) && globToRegExp(pattern).test(posixFile);
+  });
+}
+
+/**
+ * Narrow a list of files (e.g. from git) like a walk would: by the given
+ * arguments (all files if there are none), `options.filter` and binary content
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function selectFiles(files, patterns, options = {}) {
+  const selected = [];
+  for (const file of files) {
+    if (patterns.length > 0 && !matchesPatterns(file, patterns)) continue;
+    if (options.filter && !await options.filter(file)) continue;
+    if (await isBinaryFile(file).catch(() => true)) continue;
+    selected.push(file);
+  }
+  return selected;
+}
+
+function toPosix(path) {
+  return sep === '/' ? path : path.split(sep).join('/');
+}
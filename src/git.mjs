@@ -0,0 +1,225 @@
+/**
+ * Git integration: file selectors, index blobs and the pre-commit hook
+ *
+ * @module @physcode/ai-index/git
+ */
+
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { readFile, writeFile, chmod, unlink, mkdir } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Run git and return stdout
+ *
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {string} [options.input] - Written to stdin
+ */
+export function git(args, options = {}) {
+  return new Promise((resolvePromise, reject) => {
+    const child = execFile('git', args, { cwd: options.cwd, maxBuffer: MAX_BUFFER, encoding: 'utf-8' },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        } else {
+          resolvePromise(stdout);
+        }
+      });
+    if (options.input !== undefined) child.stdin.end(options.input);
+  });
+}
+
+/**
+ * Top-level directory of the repository that contains `cwd`
+ */
+export async function gitRoot(cwd = process.cwd()) {
+  try {
+    return (await git(['rev-parse', '--show-toplevel'], { cwd })).trim();
+  } catch {
+    throw new Error(`Not a git repository: ${resolve(cwd)}`);
+  }
+}
+
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+// ============================================
+// Selectors
+// ============================================
+
+/**
+ * Files selected by --staged, --changed-since and --untracked
+ *
+ * Paths are relative to `cwd`; deleted files are left out.
+ *
+ * @param {object} selectors
+ * @param {boolean} [selectors.staged] - Added, copied, modified or renamed in the index
+ * @param {string} [selectors.changedSince] - Changed between this ref and the working tree
+ * @param {boolean} [selectors.untracked] - Untracked and not ignored
+ * @returns {Promise<string[]>}
+ */
+export async function selectGitFiles(selectors, cwd = process.cwd()) {
+  const root = await gitRoot(cwd);
+  const paths = new Set();
+  const add = (output) => splitNul(output).forEach(path => paths.add(path));
+
+  if (selectors.staged) {
+    add(await git(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '-z'], { cwd: root }));
+  }
+  if (selectors.changedSince) {
+    add(await git(['diff', '--name-only', '--diff-filter=ACMR', '-z', selectors.changedSince, '--'], { cwd: root }));
+  }
+  if (selectors.untracked) {
+    add(await git(['ls-files', '--others', '--exclude-standard', '-z'], { cwd: root }));
+  }
+
+  return [...paths]
+    .map(path => join(root, path))
+    .filter(path => existsSync(path))
+    .map(path => relative(cwd, path) || '.')
+    .sort();
+}
+
+// ============================================
+// Index Blobs
+// ============================================
+
+/**
+ * Read and write staged content, so partially staged files are indexed as
+ * they will be committed rather than as they are in the working tree
+ */
+export async function openGitIndex(cwd = process.cwd()) {
+  const root = await gitRoot(cwd);
+  const key = (filePath) => relative(root, resolve(filePath)).split(sep).join('/');
+
+  /**
+   * Index entry of a file: `{ mode, sha }` or null if it isn't staged
+   */
+  async function entry(filePath) {
+    const output = await git(['ls-files', '--stage', '-z', '--', key(filePath)], { cwd: root });
+    const match = splitNul(output)[0]?.match(/^(\d+) ([0-9a-f]+) 0\t/);
+    return match ? { mode: match[1], sha: match[2] } : null;
+  }
+
+  return {
+    root,
+    entry,
+
+    /**
+     * Staged content of a file (working tree content if it isn't staged)
+     */
+    async read(filePath) {
+      const staged = await entry(filePath);
+      if (!staged) return readFile(filePath, 'utf-8');
+      return git(['cat-file', 'blob', staged.sha], { cwd: root });
+    },
+
+    /**
+     * Replace the staged content; the working tree is updated too unless
+     * it has unstaged changes (a partially staged file)
+     */
+    async write(filePath, before, after) {
+      const staged = await entry(filePath);
+      if (!staged) {
+        await writeFile(filePath, after);
+        return { staged: false, workingTree: true };
+      }
+
+      const working = await readFile(filePath, 'utf-8').catch(() => null);
+      const sha = (await git(['hash-object', '-w', '--stdin', `--path=${key(filePath)}`], { cwd: root, input: after })).trim();
+      await git(['update-index', '--cacheinfo', `${staged.mode},${sha},${key(filePath)}`], { cwd: root });
+
+      const partial = working !== before;
+      if (!partial) await writeFile(filePath, after);
+      return { staged: true, workingTree: !partial };
+    },
+  };
+}
+
+// ============================================
+// Pre-commit Hook
+// ============================================
+
+const HOOK_START = '# >>> ai-index >>>';
+const HOOK_END = '# <<< ai-index <<<';
+
+const HOOK_BLOCK = `${HOOK_START}
+# Re-sync index headers of staged files and re-stage them
+if [ -x node_modules/.bin/ai-index ]; then
+  node_modules/.bin/ai-index sync --staged || exit 1
+elif command -v ai-index >/dev/null 2>&1; then
+  ai-index sync --staged || exit 1
+else
+  echo "ai-index not found, skipping index sync" >&2
+fi
+${HOOK_END}`;
+
+/**
+ * Path of the pre-commit hook (honours core.hooksPath)
+ */
+export async function preCommitHookPath(cwd = process.cwd()) {
+  const root = await gitRoot(cwd);
+  const hooks = (await git(['rev-parse', '--git-path', 'hooks'], { cwd: root })).trim();
+  return resolve(root, hooks, 'pre-commit');
+}
+
+function withoutBlock(content) {
+  const start = content.indexOf(HOOK_START);
+  const end = content.indexOf(HOOK_END);
+  if (start === -1 || end === -1) return content;
+  return content.slice(0, start) + content.slice(end + HOOK_END.length).replace(/^\n/, '');
+}
+
+/**
+ * Add or update the ai-index block in the pre-commit hook
+ *
+ * @returns {Promise<{ path: string, action: 'created' | 'updated' | 'unchanged' }>}
+ */
+export async function installHook(cwd = process.cwd()) {
+  const path = await preCommitHookPath(cwd);
+  const existing = await readFile(path, 'utf-8').catch(() => null);
+
+  let content;
+  if (existing === null) {
+    content = `#!/bin/sh\n${HOOK_BLOCK}\n`;
+  } else if (existing.includes(HOOK_START)) {
+    const start = existing.indexOf(HOOK_START);
+    const end = existing.indexOf(HOOK_END) + HOOK_END.length;
+    content = existing.slice(0, start) + HOOK_BLOCK + existing.slice(end);
+  } else {
+    content = existing.replace(/\n*$/, '\n\n') + HOOK_BLOCK + '\n';
+  }
+
+  if (content !== existing) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, content);
+  }
+  await chmod(path, 0o755);
+
+  return { path, action: existing === null ? 'created' : content === existing ? 'unchanged' : 'updated' };
+}
+
+/**
+ * Remove the ai-index block (and the hook, if nothing else is left in it)
+ *
+ * @returns {Promise<{ path: string, action: 'removed' | 'deleted' | 'unchanged' }>}
+ */
+export async function uninstallHook(cwd = process.cwd()) {
+  const path = await preCommitHookPath(cwd);
+  const existing = await readFile(path, 'utf-8').catch(() => null);
+  if (existing === null || !existing.includes(HOOK_START)) return { path, action: 'unchanged' };
+
+  const content = withoutBlock(existing);
+  if (!content.replace(/^#!.*$/m, '').trim()) {
+    await unlink(path);
+    return { path, action: 'deleted' };
+  }
+
+  await writeFile(path, content.replace(/\n+$/, '\n'));
+  return { path, action: 'removed' };
+}
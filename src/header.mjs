@@ -0,0 +1,460 @@
+/**
+ * AI-Index header formats
+ *
+ * Serializes and parses the @ai-index header in the native comment
+ * style of each language plugin (`indexFormat`).
+ *
+ * @module @physcode/ai-index/header
+ */
+
+import { createHash } from 'crypto';
+import { DEFAULT_ESTIMATOR } from './tokens.mjs';
+
+// ============================================
+// Formats
+// ============================================
+
+/**
+ * Comment styles by `indexFormat`.
+ * Block styles have open/close lines, line styles only a prefix.
+ * `key` (JSON) has no comments, so it can't hold an embedded header.
+ */
+export const INDEX_FORMATS = {
+  jsdoc: { open: '/**', prefix: ' * ', close: ' */' },          // /** @ai-index ... */
+  javadoc: { open: '/**', prefix: ' * ', close: ' */' },        // /** @ai-index ... */
+  'block-comment': { open: '/*', prefix: ' * ', close: ' */' }, // /* @ai-index ... */
+  docstring: { open: '"""', prefix: '', close: '"""' },         // """ @ai-index ... """
+  'doc-comment': { prefix: '//! ' },                            // //! @ai-index ...
+  'xml-doc': { prefix: '/// ' },                                // /// @ai-index ...
+  comment: { prefix: '# ' },                                    // # @ai-index ...
+  key: null,
+};
+
+/**
+ * Check whether a format can hold an embedded header
+ */
+export function canEmbedIndex(format) {
+  return Boolean(INDEX_FORMATS[format]);
+}
+
+// ============================================
+// Generate
+// ============================================
+
+/**
+ * Generate index block from sections in the given format
+ *
+ * Pass `options.generated` to keep an existing timestamp and `options.tokens`
+ * to add the `@tokens` total.
+ */
+export function generateIndex(sections, totalLines, format = 'jsdoc', options = {}) {
+  const style = INDEX_FORMATS[format];
+  if (!style) {
+    throw new Error(`Index format "${format}" cannot hold an embedded header`);
+  }
+
+  const now = options.generated || new Date().toISOString();
+
+  const table = formatTable(sections);
+
+  const body = [
+    '@ai-index',
+    `@generated ${now}`,
+    `@total-lines ${totalLines}`,
+    ...(options.tokens !== undefined ? [`@tokens ${options.tokens}`] : []),
+    '',
+    ...table,
+  ].map(line => (style.prefix + line).trimEnd());
+
+  if (style.open) {
+    return [style.open, ...body, style.close].join('\n');
+  }
+  return body.join('\n');
+}
+
+/**
+ * Format sections as markdown table lines
+ *
+ * Nested sections are indented two spaces per level under their parent.
+ * Tokens and Hash columns are added when any section carries `tokens` or `hash`.
+ * Custom columns (`extra`, e.g. `{ Owner: 'web' }`) follow the Description.
+ */
+export function formatTable(sections) {
+  const label = (section) => '  '.repeat(section.depth || 0) + section.name;
+  const maxNameLen = Math.max(20, ...sections.map(s => label(s).length));
+  const maxDescLen = Math.max(20, ...sections.map(s => (s.desc || '').length));
+  const counted = sections.some(s => s.tokens !== undefined);
+  const tokensHeader = counted ? ' Tokens |' : '';
+  const tokensRule = counted ? ' ------ |' : '';
+  const hashed = sections.some(s => s.hash);
+  const hashHeader = hashed ? ` ${'Hash'.padEnd(HASH_LENGTH)} |` : '';
+  const hashRule = hashed ? ` ${'-'.repeat(HASH_LENGTH)} |` : '';
+  const extraColumns = [...new Set(sections.flatMap(s => Object.keys(s.extra || {})))];
+  const extraWidths = extraColumns.map(column =>
+    Math.max(column.length, ...sections.map(s => (s.extra?.[column] || '').length)));
+  const extraHeader = extraColumns.map((column, i) => ` ${column.padEnd(extraWidths[i])} |`).join('');
+  const extraRule = extraWidths.map(width => ` ${'-'.repeat(width)} |`).join('');
+
+  const table = [
+    `| ${'Section'.padEnd(maxNameLen)} | Line | End  | Size |${tokensHeader}${hashHeader} ${'Description'.padEnd(maxDescLen)} |${extraHeader}`,
+    `| ${'-'.repeat(maxNameLen)} | ---- | ---- | ---- |${tokensRule}${hashRule} ${'-'.repeat(maxDescLen)} |${extraRule}`,
+  ];
+
+  for (const section of sections) {
+    const size = section.end - section.line + 1;
+    const name = label(section).padEnd(maxNameLen);
+    const line = String(section.line).padStart(4);
+    const end = String(section.end).padStart(4);
+    const sizeStr = String(size).padStart(4);
+    const tokens = counted ? ` ${String(section.tokens ?? '').padStart(6)} |` : '';
+    const hash = hashed ? ` ${(section.hash || '').padEnd(HASH_LENGTH)} |` : '';
+    const desc = (section.desc || '').padEnd(maxDescLen);
+    const extra = extraColumns.map((column, i) => ` ${(section.extra?.[column] || '').padEnd(extraWidths[i])} |`).join('');
+    table.push(`| ${name} | ${line} | ${end} | ${sizeStr} |${tokens}${hash} ${desc} |${extra}`);
+  }
+
+  return table;
+}
+
+// ============================================
+// Hashes
+// ============================================
+
+const HASH_LENGTH = 8;
+
+/**
+ * Short digest of a section's content (lines `line`..`end` of `lines`)
+ *
+ * Lines are trimmed and blank lines dropped first, so re-indenting or
+ * moving the section doesn't count as a change but editing its code does.
+ */
+export function hashSection(lines, section) {
+  const normalized = lines
+    .slice(section.line - 1, section.end)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+  return createHash('sha256').update(normalized).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Check whether a parsed header records section hashes
+ */
+export function hasHashes(index) {
+  return Boolean(index) && Object.values(index.sections).some(s => s.hash);
+}
+
+/**
+ * Check whether a parsed header records token counts
+ */
+export function hasTokens(index) {
+  return Boolean(index) && (index.tokens !== null || Object.values(index.sections).some(s => s.tokens !== undefined));
+}
+
+function countTokens(lines, section, estimator) {
+  return estimator.count(lines.slice(section.line - 1, section.end).join('\n'));
+}
+
+// ============================================
+// Parse
+// ============================================
+
+/**
+ * Parse existing AI-Index from file content
+ *
+ * Tries the preferred format first, then every other one, so headers
+ * written in the wrong style (e.g. JSDoc in a Python file) can still be
+ * found, replaced and removed.
+ */
+export function parseIndex(content, format) {
+  const lines = content.split('\n');
+  const formats = [format, ...Object.keys(INDEX_FORMATS)].filter(f => INDEX_FORMATS[f]);
+
+  for (const name of new Set(formats)) {
+    const block = findHeaderBlock(lines, INDEX_FORMATS[name]);
+    if (block) {
+      return buildIndex(lines, block, name);
+    }
+  }
+
+  return null;
+}
+
+function stripPrefix(line, prefix) {
+  if (line.startsWith(prefix)) return line.slice(prefix.length);
+  if (line.startsWith(prefix.trimEnd())) return line.slice(prefix.trimEnd().length);
+  return null;
+}
+
+function findHeaderBlock(lines, style) {
+  const marker = (line) => stripPrefix(line, style.prefix)?.trim() === '@ai-index';
+
+  if (style.open) {
+    const open = style.open.trim();
+    const close = style.close.trim();
+
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (lines[i].trim() !== open || !marker(lines[i + 1])) continue;
+      for (let j = i + 2; j < lines.length; j++) {
+        if (lines[j].trim() === close) {
+          return { start: i, end: j, body: lines.slice(i + 1, j) };
+        }
+      }
+      return null;
+    }
+    return null;
+  }
+
+  const prefix = style.prefix.trimEnd();
+  for (let i = 0; i < lines.length; i++) {
+    if (!marker(lines[i])) continue;
+    let j = i;
+    while (j + 1 < lines.length && lines[j + 1].startsWith(prefix)) j++;
+    return { start: i, end: j, body: lines.slice(i, j + 1) };
+  }
+  return null;
+}
+
+// Columns ai-index writes itself; any other column is kept as `extra`
+const TABLE_COLUMNS = ['section', 'line', 'end', 'size', 'tokens', 'hash', 'description'];
+
+function buildIndex(lines, block, format) {
+  const style = INDEX_FORMATS[format];
+  const bodyOffset = style.open ? block.start + 1 : block.start;
+  const sections = {};
+  let columns = null;
+  let headings = null;
+
+  block.body.forEach((raw, i) => {
+    const line = (stripPrefix(raw, style.prefix) ?? raw).trim();
+    if (!line.startsWith('|')) return;
+
+    const rawCells = line.replace(/^\||\|$/g, '').split('|');
+    const cells = rawCells.map(c => c.trim());
+    if (!columns) {
+      headings = cells;
+      columns = cells.map(c => c.toLowerCase());
+      return;
+    }
+    if (cells.every(c => /^:?-*:?$/.test(c))) return;
+
+    const cell = (column) => cells[columns.indexOf(column)];
+    const name = cell('section');
+    const start = parseInt(cell('line'));
+    const end = parseInt(cell('end'));
+    if (!name || Number.isNaN(start) || Number.isNaN(end)) return;
+
+    // Nesting shows as indentation of the name (one pad space + two per level)
+    const indent = rawCells[columns.indexOf('section')].match(/^ */)[0].length;
+    const size = parseInt(cell('size'));
+    const tokens = parseInt(cell('tokens'));
+    const extra = {};
+    columns.forEach((column, k) => {
+      if (column && !TABLE_COLUMNS.includes(column)) extra[headings[k]] = cells[k] || '';
+    });
+    sections[name] = {
+      line: start,
+      end,
+      depth: Math.max(0, Math.floor((indent - 1) / 2)),
+      size: Number.isNaN(size) ? end - start : size,
+      desc: cell('description') || '',
+      hash: cell('hash') || null,
+      ...(Number.isNaN(tokens) ? {} : { tokens }),
+      ...(Object.keys(extra).length > 0 ? { extra } : {}),
+      row: bodyOffset + i + 1,
+    };
+  });
+
+  let startIndex = 0;
+  for (let i = 0; i < block.start; i++) startIndex += lines[i].length + 1;
+  let endIndex = startIndex;
+  for (let i = block.start; i <= block.end; i++) endIndex += lines[i].length + 1;
+  endIndex -= 1;
+
+  const raw = lines.slice(block.start, block.end + 1).join('\n');
+  const generated = raw.match(/@generated\s+(\S+)/)?.[1] || null;
+  const tokens = raw.match(/@tokens\s+(\d+)/)?.[1];
+  const totalLines = raw.match(/@total-lines\s+(\d+)/)?.[1];
+
+  return {
+    raw,
+    format,
+    sections,
+    generated,
+    tokens: tokens ? parseInt(tokens) : null,
+    totalLines: totalLines ? parseInt(totalLines) : null,
+    startIndex,
+    endIndex,
+    startLine: block.start + 1,
+    endLine: block.end + 1,
+  };
+}
+
+// ============================================
+// Insert / Remove
+// ============================================
+
+const MAX_LAYOUT_PASSES = 5;
+
+/**
+ * Build the indexed file content with line numbers that account for the header
+ *
+ * Sections are detected on the content without any header (`detect(body, context)`),
+ * then shifted by the height of the header that will be inserted. The header
+ * height depends on the table, so layout is repeated until nothing moves.
+ * An unchanged table keeps its `@generated` timestamp, so re-running is a no-op.
+ *
+ * Section hashes are taken from `body`, so they never include the header.
+ *
+ * @param {object} [options]
+ * @param {'top'|'after-comments'} [options.placement='top'] - Where a new header goes
+ * @param {boolean} [options.hash] - Add a Hash column (default: if the existing header has one)
+ * @param {boolean} [options.keepHashes] - Keep recorded hashes (sync); new sections are still hashed
+ * @param {boolean} [options.tokens] - Add a Tokens column and `@tokens` total (default: if the existing header has them)
+ * @param {import('./tokens.mjs').TokenEstimator} [options.tokenEstimator] - Defaults to the character heuristic
+ */
+export function buildIndexedContent(content, format, detect, options = {}) {
+  const existingIndex = parseIndex(content, format);
+  const body = existingIndex ? stripIndex(content, existingIndex) : content;
+  const bodyLines = body.split('\n').length;
+
+  const detected = detect(body, {
+    existingIndex,
+    // Maps a line of the current content to the same line in `body`
+    toBodyLine: (line) => existingIndex && line > existingIndex.endLine
+      ? line - (content.split('\n').length - bodyLines)
+      : line,
+  });
+
+  const hashed = options.hash ?? hasHashes(existingIndex);
+  const counted = options.tokens ?? hasTokens(existingIndex);
+  const estimator = options.tokenEstimator || DEFAULT_ESTIMATOR;
+  const bodyLineList = body.split('\n');
+  const sections = detected.map(({ hash, tokens, ...s }) => ({
+    ...s,
+    ...(counted ? { tokens: countTokens(bodyLineList, s, estimator) } : {}),
+    ...(hashed ? { hash: (options.keepHashes && existingIndex?.sections[s.name]?.hash) || hashSection(bodyLineList, s) } : {}),
+  }));
+  const totalTokens = counted ? estimator.count(body) : undefined;
+
+  const insertAt = headerOffset(body, sections,
+    existingIndex ? existingIndex.startIndex : preambleLength(body, options.placement, format),
+    preambleLength(body, 'top', format));
+  const insertLine = body.slice(0, insertAt).split('\n').length;
+
+  const layout = (generated) => {
+    let height = 0;
+    for (let pass = 0; pass < MAX_LAYOUT_PASSES; pass++) {
+      const shifted = sections.map(s => ({
+        ...s,
+        line: s.line >= insertLine ? s.line + height : s.line,
+        // A section the header can't go above (Python future imports) ends before it
+        end: s.end < insertLine ? s.end : s.line < insertLine ? insertLine - 1 : s.end + height,
+      }));
+      const block = generateIndex(shifted, bodyLines + height, format, { generated, tokens: totalTokens });
+      const blockHeight = block.split('\n').length + 1;
+      if (blockHeight === height) {
+        return {
+          content: body.slice(0, insertAt) + block + '\n\n' + body.slice(insertAt),
+          sections: shifted,
+          totalLines: bodyLines + height,
+        };
+      }
+      height = blockHeight;
+    }
+    throw new Error('Index layout did not settle');
+  };
+
+  // Keep the timestamp when nothing else changed
+  const stable = existingIndex?.generated && layout(existingIndex.generated);
+  const result = stable && stable.content === content ? stable : layout();
+
+  return { ...result, existingIndex, changed: result.content !== content };
+}
+
+/**
+ * Move the header offset `at` above sections it would split, but not above `floor`
+ *
+ * With `after-comments` the leading comments can belong to the first
+ * declaration; the header then goes above that comment instead of inside
+ * the section.
+ */
+function headerOffset(body, sections, at, floor) {
+  const lines = body.split('\n');
+  const offset = (line) => lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+
+  let line = body.slice(0, at).split('\n').length;
+  let split;
+  while ((split = sections.find(s => s.line < line && s.end >= line && offset(s.line) >= floor))) {
+    line = split.line;
+    at = offset(line);
+  }
+  return at;
+}
+
+// A comment line that is not a region marker, Rust attribute or C# directive
+const LEADING_COMMENTS = /^(?:\/\*[\s\S]*?\*\/[ \t]*\n|(?:\/\/|#)(?!\s*#?\s*(?:end)?region\b)(?![[!]).*\n)+\n*/;
+
+// Python: blank and comment lines, a module docstring, a `from __future__` import
+const PY_BLANK_OR_COMMENT = /^(?:[ \t]*(?:#.*)?\n)*/;
+const PY_DOCSTRING = /^[rRuU]?(?:("""|''')[\s\S]*?\1|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')[ \t]*(?:#.*)?\n/;
+const PY_FUTURE = /^from[ \t]+__future__[ \t]+import[ \t]*(?:\([^)]*\)|.*)[ \t]*\n/;
+
+/**
+ * End of the module docstring and `from __future__` imports, or `start`
+ *
+ * A docstring header above them would replace `__doc__`, and any statement
+ * (even a bare string) before a future import is a SyntaxError.
+ */
+function pythonPreambleLength(content, start) {
+  let end = start;
+  let pos = start;
+  const skip = (pattern) => {
+    const match = content.slice(pos).match(pattern);
+    if (match) pos += match[0].length;
+    return match;
+  };
+
+  skip(PY_BLANK_OR_COMMENT);
+  if (skip(PY_DOCSTRING)) end = pos;
+  while (skip(PY_BLANK_OR_COMMENT) && skip(PY_FUTURE)) end = pos;
+  // Blank lines stay above the header: stripIndex() removes the ones below it
+  return end > start ? end + content.slice(end).match(/^(?:[ \t]*\n)*/)[0].length : start;
+}
+
+function preambleLength(content, placement = 'top', format) {
+  // Shebang and Python encoding line must stay first
+  const length = content.match(/^(?:#!.*\n)?(?:#.*coding[:=].*\n)?/)[0].length;
+  if (format === 'docstring') {
+    const python = pythonPreambleLength(content, length);
+    if (python > length) return python;
+  }
+  if (placement !== 'after-comments') return length;
+
+  // Keep a leading license or file comment above the header
+  const comments = content.slice(length).match(LEADING_COMMENTS);
+  return length + (comments ? comments[0].length : 0);
+}
+
+/**
+ * Insert a new index block or replace the existing one
+ */
+export function insertIndex(content, indexBlock, existingIndex, format) {
+  if (existingIndex) {
+    return content.slice(0, existingIndex.startIndex) +
+           indexBlock +
+           content.slice(existingIndex.endIndex);
+  }
+
+  // Insert at beginning (after shebang, Python encoding line, docstring and future imports)
+  const at = preambleLength(content, 'top', format);
+  return content.slice(0, at) + indexBlock + '\n\n' + content.slice(at);
+}
+
+/**
+ * Remove the index block and the blank lines after it
+ */
+export function stripIndex(content, existingIndex) {
+  return content.slice(0, existingIndex.startIndex) +
+         content.slice(existingIndex.endIndex).replace(/^\n+/, '');
+}
@@ -5,279 +5,114 @@
  */
 
 import { readFile, writeFile } from 'fs/promises';
-import { extname } from 'path';
-
-// ============================================
-// Language Plugins Configuration
-// ============================================
-
-export const LANGUAGE_PLUGINS = {
-  ts: {
-    extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'],
-    indexFormat: 'jsdoc',
-    regionStart: /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/#endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  python: {
-    extensions: ['.py', '.pyw', '.pyi'],
-    indexFormat: 'docstring',
-    regionStart: /^#\s*region\s*[:\s]*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^#\s*endregion/,
-    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  rust: {
-    extensions: ['.rs'],
-    indexFormat: 'doc-comment',
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  go: {
-    extensions: ['.go'],
-    indexFormat: 'block-comment',
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /^\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  csharp: {
-    extensions: ['.cs'],
-    indexFormat: 'xml-doc',
-    regionStart: /^\s*#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\s*#endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  java: {
-    extensions: ['.java'],
-    indexFormat: 'javadoc',
-    regionStart: /^\/\/\s*region\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-    sectionMarker: /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  yaml: {
-    extensions: ['.yaml', '.yml'],
-    indexFormat: 'comment',
-    regionStart: /^#\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^#\s*endregion/,
-    sectionMarker: /^#\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i,
-  },
-  json: {
-    extensions: ['.json', '.json5', '.jsonc'],
-    indexFormat: 'key',
-    regionStart: null,
-    regionEnd: null,
-    sectionMarker: /"__section__(\w+)__"/,
-  }
-};
+import {
+  LANGUAGE_PLUGINS, getLanguagePlugin, registerLanguage, parseIndex, generateIndex,
+  canEmbedIndex, buildIndexedContent, findSections, detectSections, checkSections, mergeWithIndex,
+} from './engine.mjs';
+import { createIssue, applyIssueOptions, hasErrors } from './issues.mjs';
+
+export {
+  LANGUAGE_PLUGINS, SECTION_DESCRIPTIONS, getLanguagePlugin, registerLanguage,
+  detectSections, detectSectionsAuto, mergeWithMarkers, mergeWithIndex, checkSections, findChangedSections, hashSection, hasHashes, hasTokens,
+  parseIndex, generateIndex, insertIndex, stripIndex, canEmbedIndex, buildIndexedContent, formatTable, INDEX_FORMATS,
+  findSections, scanRegions,
+} from './engine.mjs';
+export { MANIFEST_FILE, openSidecar, readSidecarEntry, findManifest, hashContent } from './sidecar.mjs';
+export { scanJsonSections } from './scanners/json.mjs';
+export { scanJsSections } from './scanners/javascript.mjs';
+export { scanPythonSections } from './scanners/python.mjs';
+export { scanCFamilySections } from './scanners/c-family.mjs';
+export {
+  COMPANION_SUFFIX, companionCandidates, findCompanion, parseCompanion, readCompanion, buildCompanionContent,
+  checkCompanion, isCompanionPath, findCompanionSource,
+} from './companion.mjs';
+export { ISSUE_CODES, createIssue, applyIssueOptions, hasErrors } from './issues.mjs';
+export { REPORTERS, formatReport } from './reporters.mjs';
+export { unifiedDiff } from './diff.mjs';
+export { selectGitFiles, openGitIndex, installHook, uninstallHook } from './git.mjs';
+export { watchFiles } from './watch.mjs';
+export {
+  CHARS_PER_TOKEN, DEFAULT_ESTIMATOR, createCharEstimator, createBpeEstimator, parseVocabulary, loadVocabularyEstimator,
+} from './tokens.mjs';
+export { CONFIG_FILES, findConfigFile, loadConfig, createConfigResolver, resolveLanguage } from './config.mjs';
 
 /**
- * Get language plugin for a file
- */
-export function getLanguagePlugin(filePath) {
-  const ext = extname(filePath).toLowerCase();
-  for (const [name, plugin] of Object.entries(LANGUAGE_PLUGINS)) {
-    if (plugin.extensions.includes(ext)) {
-      return { name, ...plugin };
-    }
-  }
-  return null;
-}
-
-/**
- * Parse existing AI-Index from file content
+ * Index a file and return the new content
+ *
+ * `options.plugin` overrides the language (e.g. from `createConfigResolver`),
+ * `options.placement` is the header placement, `options.hash` adds section hashes,
+ * `options.tokens` a Tokens column (counted by `options.tokenEstimator`).
+ * Descriptions and custom columns of an existing header are kept; the result
+ * lists rows matched to a renamed section (`renamed`) and rows dropped (`removed`).
  */
-export function parseIndex(content) {
-  const indexMatch = content.match(/\/\*\*\s*\n\s*\*\s*@ai-index[\s\S]*?\*\//);
-  if (!indexMatch) return null;
-
-  const indexBlock = indexMatch[0];
-  const sections = {};
+export async function indexFile(filePath, options = {}) {
+  const content = await readFile(filePath, 'utf-8');
+  const plugin = options.plugin ?? getLanguagePlugin(filePath);
 
-  const tableRows = indexBlock.matchAll(/\|\s*([^\|]+?)\s*\|\s*(\d+)\s*\|\s*(\d+)\s*\|(?:\s*(\d+)\s*\|)?(?:\s*([^\|]*?)\s*\|)?/g);
-  for (const row of tableRows) {
-    const [, name, line, end, size, desc] = row;
-    if (name && !name.includes('Section') && !name.includes('---')) {
-      sections[name.trim()] = {
-        line: parseInt(line),
-        end: parseInt(end),
-        size: size ? parseInt(size) : parseInt(end) - parseInt(line),
-        desc: desc?.trim() || ''
-      };
-    }
+  if (!plugin) {
+    throw new Error(`Unsupported file type: ${filePath}`);
   }
 
-  return {
-    raw: indexBlock,
-    sections,
-    startIndex: indexMatch.index,
-    endIndex: indexMatch.index + indexBlock.length
-  };
-}
-
-/**
- * Find explicit section markers in content
- */
-export function findSections(content, plugin) {
-  const sections = [];
-  const lines = content.split('\n');
-
-  let currentSection = null;
-  let currentDesc = null;
-  let sectionStart = null;
-
-  const regionStart = plugin?.regionStart || /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/;
-  const regionEnd = plugin?.regionEnd || /^\/\/#endregion/;
-  const sectionMarker = plugin?.sectionMarker || /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNum = i + 1;
-
-    if (regionStart) {
-      const regionMatch = line.match(regionStart);
-      if (regionMatch) {
-        if (currentSection) {
-          sections.push({
-            name: currentSection,
-            line: sectionStart,
-            end: lineNum - 1,
-            desc: currentDesc || ''
-          });
-        }
-        currentSection = regionMatch[1].trim();
-        currentDesc = regionMatch[2]?.trim() || '';
-        sectionStart = lineNum;
-        continue;
-      }
-    }
-
-    if (regionEnd && line.match(regionEnd)) {
-      if (currentSection) {
-        sections.push({
-          name: currentSection,
-          line: sectionStart,
-          end: lineNum,
-          desc: currentDesc || ''
-        });
-        currentSection = null;
-        currentDesc = null;
-        sectionStart = null;
-      }
-      continue;
-    }
-
-    if (sectionMarker) {
-      const markerMatch = line.match(sectionMarker);
-      if (markerMatch) {
-        if (currentSection) {
-          sections.push({
-            name: currentSection,
-            line: sectionStart,
-            end: lineNum - 1,
-            desc: currentDesc || ''
-          });
-        }
-        currentSection = markerMatch[1].trim();
-        currentDesc = '';
-        sectionStart = lineNum;
-      }
-    }
+  if (!canEmbedIndex(plugin.indexFormat)) {
+    throw new Error(`Cannot embed an index header in ${plugin.name} file: ${filePath}`);
   }
 
-  if (currentSection) {
-    sections.push({
-      name: currentSection,
-      line: sectionStart,
-      end: lines.length,
-      desc: currentDesc || ''
+  // Keep descriptions and custom columns of the existing header
+  let merge;
+  const result = buildIndexedContent(content, plugin.indexFormat,
+    (body, { existingIndex, toBodyLine }) => {
+      merge = mergeWithIndex(detectSections(body, plugin, options), existingIndex?.sections, toBodyLine);
+      return merge.sections;
+    }, {
+      placement: options.placement,
+      hash: options.hash,
+      tokens: options.tokens,
+      tokenEstimator: options.tokenEstimator,
     });
-  }
-
-  return sections;
-}
-
-/**
- * Generate index block from sections
- */
-export function generateIndex(sections, totalLines) {
-  const now = new Date().toISOString();
-
-  const maxNameLen = Math.max(20, ...sections.map(s => s.name.length));
-  const maxDescLen = Math.max(20, ...sections.map(s => (s.desc || '').length));
 
-  let table = '';
-  table += ` * | ${'Section'.padEnd(maxNameLen)} | Line | End  | Size | ${'Description'.padEnd(maxDescLen)} |\n`;
-  table += ` * | ${'-'.repeat(maxNameLen)} | ---- | ---- | ---- | ${'-'.repeat(maxDescLen)} |\n`;
-
-  for (const section of sections) {
-    const size = section.end - section.line + 1;
-    const name = section.name.padEnd(maxNameLen);
-    const line = String(section.line).padStart(4);
-    const end = String(section.end).padStart(4);
-    const sizeStr = String(size).padStart(4);
-    const desc = (section.desc || '').padEnd(maxDescLen);
-    table += ` * | ${name} | ${line} | ${end} | ${sizeStr} | ${desc} |\n`;
+  if (result.changed) {
+    await writeFile(filePath, result.content);
   }
 
-  return `/**
- * @ai-index
- * @generated ${now}
- * @total-lines ${totalLines}
- *
-${table} */`;
+  return {
+    sections: result.sections.length,
+    totalLines: result.totalLines,
+    action: !result.changed ? 'unchanged' : result.existingIndex ? 'updated' : 'added',
+    renamed: merge.renamed,
+    removed: merge.removed,
+  };
 }
 
 /**
- * Index a file and return the new content
+ * Check a file's embedded index against its markers
+ *
+ * `options.strict` treats warnings as errors, `options.ignore` skips issue codes.
  */
-export async function indexFile(filePath) {
+export async function verifyFile(filePath, options = {}) {
   const content = await readFile(filePath, 'utf-8');
-  const plugin = getLanguagePlugin(filePath);
+  const plugin = options.plugin ?? getLanguagePlugin(filePath);
 
   if (!plugin) {
     throw new Error(`Unsupported file type: ${filePath}`);
   }
 
-  const lines = content.split('\n');
-  const totalLines = lines.length;
-  const existingIndex = parseIndex(content);
-
-  let sections = findSections(content, plugin);
-
-  if (sections.length === 0) {
-    sections = [{ name: 'main', line: 1, end: totalLines, desc: 'Main content' }];
-  }
-
-  const indexBlock = generateIndex(sections, totalLines);
-
-  let newContent;
-  if (existingIndex) {
-    newContent = content.slice(0, existingIndex.startIndex) +
-                 indexBlock +
-                 content.slice(existingIndex.endIndex);
-  } else {
-    const shebangMatch = content.match(/^#!.*\n/);
-    if (shebangMatch) {
-      newContent = shebangMatch[0] + indexBlock + '\n\n' + content.slice(shebangMatch[0].length);
-    } else {
-      newContent = indexBlock + '\n\n' + content;
-    }
-  }
-
-  await writeFile(filePath, newContent);
+  const existingIndex = parseIndex(content, plugin.indexFormat);
+  const found = existingIndex
+    ? checkSections(content, plugin, existingIndex.sections, options)
+    : [createIssue('AI001', 'No index found')];
 
-  return {
-    sections: sections.length,
-    totalLines,
-    action: existingIndex ? 'updated' : 'added'
-  };
+  const issues = applyIssueOptions(found, options);
+  return { valid: !hasErrors(issues), issues, errors: issues.map(issue => issue.message) };
 }
 
 export default {
   LANGUAGE_PLUGINS,
   getLanguagePlugin,
+  registerLanguage,
   parseIndex,
   findSections,
+  detectSections,
   generateIndex,
-  indexFile
+  indexFile,
+  verifyFile
 };
@@ -0,0 +1,74 @@
+/**
+ * Verification issues: stable codes and severities
+ *
+ * Every problem `verify` finds is `{ code, severity, message, line }`.
+ * Codes never change meaning, so they can be ignored (`--ignore=AI003`) or
+ * promoted (`--strict` turns warnings into errors).
+ *
+ * @module @physcode/ai-index/issues
+ */
+
+export const ISSUE_CODES = {
+  AI000: { severity: 'error', title: 'File could not be checked' },
+  AI001: { severity: 'error', title: 'No index found' },
+  AI002: { severity: 'error', title: 'Section ends after the last line' },
+  AI003: { severity: 'warning', title: 'Region in code but not in index' },
+  AI004: { severity: 'error', title: 'Index line differs from the region marker or declaration' },
+  AI005: { severity: 'warning', title: 'Section nesting differs from the code' },
+  AI006: { severity: 'error', title: 'Unbalanced region markers' },
+  AI007: { severity: 'error', title: 'Nested section outside its parent' },
+  AI008: { severity: 'warning', title: 'File changed since it was indexed' },
+  AI009: { severity: 'warning', title: 'Companion is missing a section' },
+  AI010: { severity: 'warning', title: 'Companion section not in the file' },
+  AI011: { severity: 'error', title: 'Companion range differs from the file' },
+  AI012: { severity: 'error', title: 'Companion sections overlap' },
+  AI013: { severity: 'error', title: 'Companion section ends after the last line' },
+  AI014: { severity: 'warning', title: 'Companion without a source file' },
+  AI015: { severity: 'warning', title: 'Section content changed since it was indexed' },
+  AI016: { severity: 'warning', title: 'Section in index but not in code' },
+};
+
+/**
+ * Create an issue with the code's default severity
+ *
+ * @param {string} code - One of ISSUE_CODES
+ * @param {string} message
+ * @param {number} [line] - Line to annotate (e.g. the stale index row)
+ */
+export function createIssue(code, message, line) {
+  return { code, severity: ISSUE_CODES[code].severity, message, line: line ?? 1 };
+}
+
+/**
+ * Parse `--ignore` / `verify.ignore` (array or comma-separated string) into codes
+ */
+export function parseIssueCodes(value) {
+  if (!value) return [];
+  const codes = (Array.isArray(value) ? value : String(value).split(','))
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+
+  const unknown = codes.filter(code => !ISSUE_CODES[code]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown issue code(s): ${unknown.join(', ')}`);
+  }
+  return codes;
+}
+
+/**
+ * Drop ignored codes and, in strict mode, promote warnings to errors
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.strict]
+ * @param {string[]|string} [options.ignore]
+ */
+export function applyIssueOptions(issues, options = {}) {
+  const ignored = new Set(parseIssueCodes(options.ignore));
+  return issues
+    .filter(issue => !ignored.has(issue.code))
+    .map(issue => options.strict && issue.severity === 'warning' ? { ...issue, severity: 'error' } : issue);
+}
+
+export function hasErrors(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
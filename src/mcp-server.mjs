@@ -12,309 +12,236 @@
  * Инструменты:
  *   - get_file_index: Получить карту секций файла
  *   - read_section: Прочитать конкретную секцию
+ *   - find_symbol: Найти функцию, класс или тип по имени (файл, секция, строки)
+ *   - search_sections: Поиск по тексту/regex в папке, результаты по секциям
+ *
+ * Ресурсы (с подпиской на изменения):
+ *   - ai-index://file/<path>[?depth=N]: Индекс файла (JSON)
+ *   - ai-index://section/<path>[?depth=N]#<name>: Текст секции
+ *
+ * Доступ только к файлам внутри разрешённых корней:
+ *   node src/mcp-server.mjs --root=/path/to/project [--root=...] [--max-file-size=1048576]
+ * Без --root корни берутся из AI_INDEX_ROOTS (через ":"), из roots/list клиента
+ * или остаётся рабочая папка. Ошибки доступа: { error: { code, message } },
+ * code — OUTSIDE_ROOT, NOT_FOUND, FILE_TOO_LARGE или BINARY_FILE.
+ * Companion, .ai-index.json и конфиг читаются с теми же проверками,
+ * а поиск манифеста и конфига вверх по папкам останавливается на корне.
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { readFile, access } from 'fs/promises';
-import { extname, basename, dirname, join } from 'path';
-import { constants } from 'fs';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { readFile, realpath, stat } from 'fs/promises';
+import { realpathSync } from 'fs';
+import { basename, delimiter, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { readSidecarEntry } from './sidecar.mjs';
+import { findCompanion, parseCompanion, isCompanionPath } from './companion.mjs';
+import { findSections, detectSections, canEmbedIndex, parseIndex, checkSections } from './engine.mjs';
+import { applyIssueOptions } from './issues.mjs';
+import { createConfigResolver, CONFIG_FILES } from './config.mjs';
+import { collectFiles, isBinaryFile } from './files.mjs';
+
+// Конфиг проекта (ai-index.config.mjs / .ai-indexrc.json) ищется от каждого файла вверх,
+// но не выше корня; .mjs-конфиг исполняется, поэтому он проходит те же проверки, что и файлы
+let projectConfig = openProjectConfig();
+
+function openProjectConfig() {
+  return createConfigResolver({ within: withinRoots, access: loadFile });
+}
 
 // ============================================
-// Language Detection
+// Sandbox
 // ============================================
 
-const LANGUAGE_CONFIG = {
-  ts: {
-    extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'],
-    commentStart: '//',
-    blockStart: '/*',
-    blockEnd: '*/',
-    regionStart: /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/#endregion/,
-  },
-  python: {
-    extensions: ['.py', '.pyw', '.pyi'],
-    commentStart: '#',
-    regionStart: /^#\s*region\s*[:\s]*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^#\s*endregion/,
-  },
-  rust: {
-    extensions: ['.rs'],
-    commentStart: '//',
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-  },
-  go: {
-    extensions: ['.go'],
-    commentStart: '//',
-    regionStart: /^\/\/\s*region:\s*(.+?)(?:\s*[—\-]\s*(.+))?$/,
-    regionEnd: /^\/\/\s*endregion/,
-  },
-  csharp: {
-    extensions: ['.cs'],
-    commentStart: '//',
-    regionStart: /^\s*#region\s+(.+?)$/,
-    regionEnd: /^\s*#endregion/,
-  },
-  java: {
-    extensions: ['.java', '.kt', '.scala'],
-    commentStart: '//',
-    regionStart: /^\/\/\s*region\s*(.+?)$/,
-    regionEnd: /^\/\/\s*endregion/,
-  },
-  yaml: {
-    extensions: ['.yaml', '.yml'],
-    commentStart: '#',
-    regionStart: /^#\s*region:\s*(.+?)$/,
-    regionEnd: /^#\s*endregion/,
-  }
-};
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
 
-function detectLanguage(filePath) {
-  const ext = extname(filePath).toLowerCase();
-  for (const [lang, config] of Object.entries(LANGUAGE_CONFIG)) {
-    if (config.extensions.includes(ext)) {
-      return { lang, ...config };
+/**
+ * --root=PATH (или --root PATH, можно несколько) и --max-file-size=BYTES
+ */
+function parseServerArgs(argv) {
+  const args = { roots: [], maxFileSize: DEFAULT_MAX_FILE_SIZE };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = inline ?? argv[++i];
+    if (flag === '--root' && value) {
+      args.roots.push(value);
+    } else if (flag === '--max-file-size' && Number.isInteger(Number(value)) && Number(value) > 0) {
+      args.maxFileSize = Number(value);
+    } else {
+      throw new Error(`Unknown or invalid argument: ${flag}`);
     }
   }
-  return null;
+  return args;
 }
 
-// ============================================
-// Companion Markdown Support
-// ============================================
+const serverArgs = parseServerArgs(process.argv.slice(2));
+
+// Явно заданные корни; если их нет, спрашиваем клиента (roots/list)
+const configuredRoots = serverArgs.roots.length > 0
+  ? serverArgs.roots
+  : (process.env.AI_INDEX_ROOTS || '').split(delimiter).filter(Boolean);
+
+// Promise<string[]> с реальными путями корней; сбрасывается при roots/list_changed
+let allowedRoots = null;
+// Те же корни синхронно: для подъёма по папкам при поиске конфига и манифеста
+let knownRoots = [];
 
 /**
- * Ищет companion markdown файл с описанием секций
- * Приоритет: filename.ai.md > .ai/filename.md
+ * Ошибка доступа с кодом, который клиент может разобрать
  */
-async function findCompanionMarkdown(filePath) {
-  const dir = dirname(filePath);
-  const name = basename(filePath);
-
-  // Варианты расположения
-  const candidates = [
-    join(dir, `${name}.ai.md`),           // file.ts.ai.md
-    join(dir, '.ai', `${name}.md`),       // .ai/file.ts.md
-    join(dir, '.ai', name.replace(/\.[^.]+$/, '.md')), // .ai/file.md
-  ];
-
-  for (const candidate of candidates) {
+function accessError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+const ACCESS_ERRORS = ['OUTSIDE_ROOT', 'NOT_FOUND', 'FILE_TOO_LARGE', 'BINARY_FILE'];
+
+async function realRoots(paths) {
+  const roots = [];
+  for (const path of paths) {
     try {
-      await access(candidate, constants.R_OK);
-      return candidate;
+      roots.push(await realpath(resolve(path)));
     } catch {
-      // File doesn't exist, try next
+      console.error(`AI-Index MCP server: root ${path} does not exist, ignored`);
     }
   }
-
-  return null;
+  return roots;
 }
 
-/**
- * Парсит companion markdown файл
- *
- * Формат:
- * ```markdown
- * # filename.ts
- *
- * Описание файла (опционально)
- *
- * ## Sections
- *
- * | Section | Lines | Description |
- * |---------|-------|-------------|
- * | imports | 1-45 | External dependencies |
- * | store/nodes | 180-350 | Node CRUD operations |
- *
- * ## Notes
- *
- * Дополнительные заметки...
- * ```
- */
-async function parseCompanionMarkdown(mdPath) {
-  try {
-    const content = await readFile(mdPath, 'utf-8');
-    const result = {
-      description: '',
-      sections: [],
-      notes: ''
-    };
+async function loadRoots() {
+  if (configuredRoots.length > 0) return realRoots(configuredRoots);
 
-    // Извлекаем описание (текст до первого ## заголовка)
-    const descMatch = content.match(/^#[^#].*\n\n([\s\S]*?)(?=\n##|$)/);
-    if (descMatch) {
-      result.description = descMatch[1].trim();
+  if (server.getClientCapabilities()?.roots) {
+    try {
+      const { roots } = await server.listRoots();
+      const paths = roots.filter(root => root.uri.startsWith('file://')).map(root => fileURLToPath(root.uri));
+      if (paths.length > 0) return realRoots(paths);
+    } catch {
+      // Клиент не ответил: остаёмся в рабочей папке
     }
+  }
+  return realRoots([process.cwd()]);
+}
 
-    // Парсим таблицу секций
-    const tableMatch = content.match(/##\s*Sections?\s*\n\n([\s\S]*?)(?=\n##|$)/i);
-    if (tableMatch) {
-      const tableContent = tableMatch[1];
-      // Парсим строки таблицы: | Section | Lines | Description |
-      const rows = tableContent.matchAll(/\|\s*([^|]+?)\s*\|\s*([^|]+?)\s*\|\s*([^|]*?)\s*\|/g);
-
-      for (const row of rows) {
-        const [, name, lines, desc] = row;
-        // Пропускаем заголовок и разделитель
-        if (name.includes('Section') || name.includes('---')) continue;
-
-        // Парсим диапазон строк: "180-350" или "180"
-        const lineMatch = lines.match(/(\d+)(?:\s*[-–]\s*(\d+))?/);
-        if (lineMatch) {
-          result.sections.push({
-            name: name.trim(),
-            line: parseInt(lineMatch[1]),
-            end: parseInt(lineMatch[2] || lineMatch[1]),
-            desc: desc.trim()
-          });
-        }
-      }
-    }
+function getRoots() {
+  allowedRoots ??= loadRoots().then(roots => (knownRoots = roots));
+  return allowedRoots;
+}
 
-    // Извлекаем заметки
-    const notesMatch = content.match(/##\s*Notes?\s*\n\n([\s\S]*?)(?=\n##|$)/i);
-    if (notesMatch) {
-      result.notes = notesMatch[1].trim();
-    }
+function isInside(path, root) {
+  return path === root || path.startsWith(root.endsWith(sep) ? root : root + sep);
+}
 
-    return result;
+/**
+ * Папка внутри корней (для findConfigFile / findManifest: выше корня не поднимаемся)
+ */
+function withinRoots(dir) {
+  try {
+    const real = realpathSync(dir);
+    return knownRoots.some(root => isInside(real, root));
   } catch {
-    return null;
+    return false;
   }
 }
 
-// ============================================
-// Smart Section Detection
-// ============================================
-
 /**
- * Автоматически определяет секции без маркеров
+ * Реальный путь (симлинки раскрыты) внутри одного из корней
+ *
+ * Сначала проверяется путь как есть, чтобы по NOT_FOUND нельзя было
+ * узнать, какие файлы есть снаружи.
  */
-function detectSectionsAuto(lines, langConfig) {
-  const sections = [];
-
-  // Patterns for common code structures
-  const patterns = {
-    ts: [
-      { regex: /^import\s+/, name: 'imports', desc: 'Import statements' },
-      { regex: /^export\s+(interface|type)\s+(\w+)/, name: 'types', desc: 'Type definitions' },
-      { regex: /^export\s+const\s+use\w+/, name: 'hooks', desc: 'React hooks' },
-      { regex: /^export\s+(async\s+)?function\s+(\w+)/, name: 'functions', desc: 'Exported functions' },
-      { regex: /^(export\s+)?class\s+(\w+)/, name: 'classes', desc: 'Class definitions' },
-    ],
-    python: [
-      { regex: /^(from|import)\s+/, name: 'imports', desc: 'Import statements' },
-      { regex: /^class\s+(\w+)/, name: 'classes', desc: 'Class definitions' },
-      { regex: /^(async\s+)?def\s+(\w+)/, name: 'functions', desc: 'Function definitions' },
-      { regex: /^@(app|router)\.(get|post|put|delete)/, name: 'routes', desc: 'API routes' },
-    ],
-    rust: [
-      { regex: /^use\s+/, name: 'imports', desc: 'Use statements' },
-      { regex: /^(pub\s+)?struct\s+(\w+)/, name: 'structs', desc: 'Struct definitions' },
-      { regex: /^(pub\s+)?enum\s+(\w+)/, name: 'enums', desc: 'Enum definitions' },
-      { regex: /^impl\s+/, name: 'impl', desc: 'Implementations' },
-      { regex: /^(pub\s+)?(async\s+)?fn\s+(\w+)/, name: 'functions', desc: 'Functions' },
-    ],
-    go: [
-      { regex: /^import\s*\(/, name: 'imports', desc: 'Import block' },
-      { regex: /^type\s+(\w+)\s+struct/, name: 'types', desc: 'Struct types' },
-      { regex: /^type\s+(\w+)\s+interface/, name: 'interfaces', desc: 'Interface types' },
-      { regex: /^func\s+\(/, name: 'methods', desc: 'Methods' },
-      { regex: /^func\s+(\w+)/, name: 'functions', desc: 'Functions' },
-    ]
-  };
-
-  const langPatterns = patterns[langConfig?.lang] || [];
-  let currentSection = null;
-  let sectionStart = 0;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    for (const { regex, name, desc } of langPatterns) {
-      if (regex.test(line)) {
-        // Close previous section
-        if (currentSection && currentSection.name !== name) {
-          currentSection.end = i;
-          currentSection.size = currentSection.end - currentSection.line + 1;
-          sections.push(currentSection);
-        }
-
-        // Start new section if different
-        if (!currentSection || currentSection.name !== name) {
-          currentSection = {
-            name,
-            desc,
-            line: i + 1,
-            end: i + 1,
-            size: 1
-          };
-        } else {
-          currentSection.end = i + 1;
-          currentSection.size = currentSection.end - currentSection.line + 1;
-        }
-        break;
-      }
-    }
+async function resolveInRoots(path) {
+  const roots = await getRoots();
+  const outside = () => accessError('OUTSIDE_ROOT', `${path} is outside the allowed roots (${roots.join(', ')})`);
+  const absolute = resolve(path);
+  if (!roots.some(root => isInside(absolute, root))) {
+    // Корень может быть симлинком (например /tmp → /private/tmp): сверяем и реальный путь
+    const real = await realpath(absolute).catch(() => null);
+    if (!real || !roots.some(root => isInside(real, root))) throw outside();
+    return real;
   }
 
-  // Close last section
-  if (currentSection) {
-    sections.push(currentSection);
+  let real;
+  try {
+    real = await realpath(absolute);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') throw accessError('NOT_FOUND', `${path} not found`);
+    throw error;
   }
-
-  return sections;
+  if (!roots.some(root => isInside(real, root))) throw outside();
+  return real;
 }
 
 /**
- * Находит секции по явным маркерам #region
+ * Папка по умолчанию для поиска: рабочая, если она разрешена, иначе первый корень
  */
-function detectSectionsExplicit(lines, langConfig) {
-  const sections = [];
-  let currentSection = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNum = i + 1;
-
-    if (langConfig?.regionStart) {
-      const match = line.match(langConfig.regionStart);
-      if (match) {
-        if (currentSection) {
-          currentSection.end = lineNum - 1;
-          currentSection.size = currentSection.end - currentSection.line + 1;
-          sections.push(currentSection);
-        }
-        currentSection = {
-          name: match[1].trim(),
-          desc: match[2]?.trim() || '',
-          line: lineNum,
-          end: lineNum,
-          size: 1
-        };
-        continue;
-      }
-    }
+async function defaultPath() {
+  const roots = await getRoots();
+  const cwd = await realpath(process.cwd());
+  return roots.some(root => isInside(cwd, root)) || roots.length === 0 ? '.' : roots[0];
+}
 
-    if (langConfig?.regionEnd && line.match(langConfig.regionEnd)) {
-      if (currentSection) {
-        currentSection.end = lineNum;
-        currentSection.size = currentSection.end - currentSection.line + 1;
-        sections.push(currentSection);
-        currentSection = null;
-      }
-    }
+// ============================================
+// Cache
+// ============================================
+
+// Файлы в памяти: реальный путь → { path, mtimeMs, size, content, lines, indexes }.
+// indexes: индексы по глубине и версии companion, плюс объявления для find_symbol
+// Map хранит порядок вставки, поэтому самые давние записи вытесняются первыми
+const cache = new Map();
+const MAX_CACHED_FILES = 500;
+
+/**
+ * Содержимое файла; перечитывается, только если изменились mtime или размер
+ *
+ * Каждый вызов проверяет корни, большие и бинарные файлы не читаются.
+ */
+async function loadFile(filePath) {
+  const key = await resolveInRoots(filePath);
+  const fileStat = await stat(key);
+  if (!fileStat.isFile()) throw accessError('NOT_FOUND', `${filePath} is not a file`);
+  const { mtimeMs, size } = fileStat;
+  const cached = cache.get(key);
+  cache.delete(key);
+
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    cache.set(key, cached);
+    return cached;
   }
 
-  if (currentSection) {
-    currentSection.end = lines.length;
-    currentSection.size = currentSection.end - currentSection.line + 1;
-    sections.push(currentSection);
+  if (size > serverArgs.maxFileSize) {
+    throw accessError('FILE_TOO_LARGE', `${filePath} is ${size} bytes, the limit is ${serverArgs.maxFileSize}`);
   }
+  if (await isBinaryFile(key)) throw accessError('BINARY_FILE', `${filePath} looks like a binary file`);
+
+  const content = await readFile(key, 'utf-8');
+  const entry = { path: filePath, mtimeMs, size, content, lines: content.split('\n'), indexes: new Map() };
+  cache.set(key, entry);
+  if (cache.size > MAX_CACHED_FILES) cache.delete(cache.keys().next().value);
+  return entry;
+}
+
+// ============================================
+// Index Generation
+// ============================================
 
-  return sections;
+/**
+ * Индекс файла из кэша
+ *
+ * Companion правят отдельно от файла, поэтому его mtime тоже входит в ключ.
+ */
+async function generateIndex(filePath, options = {}) {
+  const entry = await loadFile(filePath);
+  // Companion читается через песочницу: симлинк наружу просто не используется
+  const companionPath = await findCompanion(filePath);
+  const companion = companionPath && await tryLoadFile(companionPath);
+  const key = [options.depth ?? '', companion?.mtimeMs ?? '', companion?.size ?? ''].join(':');
+
+  if (!entry.indexes.has(key)) {
+    const parsed = companion && { path: companionPath, ...parseCompanion(companion.content) };
+    entry.indexes.set(key, await buildIndex(filePath, entry, parsed, options));
+  }
+  return entry.indexes.get(key);
 }
 
 /**
@@ -322,84 +249,139 @@ function detectSectionsExplicit(lines, langConfig) {
  *
  * Приоритет источников:
  * 1. Companion markdown файл (filename.ai.md или .ai/filename.md)
- * 2. Явные маркеры #region в коде
- * 3. Автоматическое определение по паттернам
+ * 2. Встроенный заголовок @ai-index (любой стиль комментария)
+ * 3. Sidecar-манифест .ai-index.json (если файл не менялся после индексации)
+ * 4. Явные маркеры #region в коде
+ * 5. Сканер языка (объявления, блоки, ключи JSON)
+ * 6. Одна секция "main"
  */
-async function generateIndex(filePath) {
-  const content = await readFile(filePath, 'utf-8');
-  const lines = content.split('\n');
-  const langConfig = detectLanguage(filePath);
+async function buildIndex(filePath, { content, lines }, companion, options = {}) {
+  const { plugin, settings } = await (await projectConfig).forFile(filePath);
 
   let sections = [];
   let source = 'auto';
   let description = '';
   let notes = '';
-  let companionPath = null;
+  let header = null;
 
   // 1. Пробуем найти companion markdown
-  companionPath = await findCompanionMarkdown(filePath);
-  if (companionPath) {
-    const companion = await parseCompanionMarkdown(companionPath);
-    if (companion && companion.sections.length > 0) {
-      sections = companion.sections.map(s => ({
-        ...s,
-        size: s.end - s.line + 1
-      }));
-      source = 'markdown';
-      description = companion.description;
-      notes = companion.notes;
-    }
+  if (companion?.sections.length > 0) {
+    sections = companion.sections.map(s => ({
+      ...s,
+      size: s.end - s.line + 1
+    }));
+    source = 'markdown';
+    description = companion.description;
+    notes = companion.notes;
   }
 
-  // 2. Если нет markdown, пробуем явные маркеры #region
+  // 2. Заголовок, который записал CLI (описания секций живут там)
   if (sections.length === 0) {
-    sections = detectSectionsExplicit(lines, langConfig);
-    if (sections.length > 0) {
-      source = 'regions';
+    header = readHeader(content, plugin, settings);
+    if (header) {
+      sections = header.sections;
+      source = 'header';
     }
   }
 
-  // 3. Если нет регионов, автоопределение
+  // 3. Sidecar-манифест: только если хэш совпадает с текущим содержимым
   if (sections.length === 0) {
-    sections = detectSectionsAuto(lines, langConfig);
-    source = 'auto';
+    const sidecar = await readSidecarEntry(filePath, content, {
+      within: withinRoots,
+      read: async (path) => (await loadFile(path)).content,
+    }).catch((error) => {
+      if (ACCESS_ERRORS.includes(error.code)) return null;
+      throw error;
+    });
+    if (sidecar?.fresh) {
+      sections = sidecar.entry.sections.map(s => ({
+        ...s,
+        size: s.end - s.line + 1
+      }));
+      source = 'sidecar';
+    }
   }
 
-  // 4. Если ничего не нашли, создаём одну секцию "main"
+  // 4-6. Явные маркеры #region, затем сканер языка, затем одна секция "main"
+  //      (то же ядро, что и у CLI)
   if (sections.length === 0) {
-    sections = [{
-      name: 'main',
-      desc: 'Main content',
-      line: 1,
-      end: lines.length,
-      size: lines.length
-    }];
+    source = findSections(content, plugin).length > 0 ? 'regions' : 'auto';
+    sections = detectSections(content, plugin, options).map(s => ({
+      ...s,
+      size: s.end - s.line + 1
+    }));
   }
 
   const result = {
     file: basename(filePath),
     path: filePath,
-    language: langConfig?.lang || 'unknown',
+    language: plugin?.name || 'unknown',
     totalLines: lines.length,
-    source, // 'markdown' | 'regions' | 'auto'
+    source, // 'markdown' | 'header' | 'sidecar' | 'regions' | 'auto'
     sections
   };
 
+  // Заголовок мог устареть: секции сдвинулись, появились или изменились после индексации
+  if (header) {
+    result.stale = header.issues.length > 0;
+    if (result.stale) result.staleReasons = header.issues.map(i => `${i.code}: ${i.message}`);
+    if (header.tokens !== null) result.tokens = header.tokens;
+    if (header.generated) result.generated = header.generated;
+  }
+
   // Добавляем метаданные из companion markdown
   if (description) result.description = description;
   if (notes) result.notes = notes;
-  if (companionPath) result.companionFile = companionPath;
+  if (companion) result.companionFile = companion.path;
 
   return result;
 }
 
+/**
+ * Разбирает встроенный заголовок @ai-index и сверяет его с файлом (как verify)
+ *
+ * null, если заголовка нет или он негоден: пустая таблица, строки за концом
+ * файла или перевёрнутые диапазоны. Тогда индекс строится другими способами.
+ * Расхождения с маркерами, сканером или числом строк делают индекс устаревшим.
+ */
+function readHeader(content, plugin, settings = {}) {
+  if (!plugin || !canEmbedIndex(plugin.indexFormat)) return null;
+
+  const index = parseIndex(content, plugin.indexFormat);
+  const entries = Object.entries(index?.sections || {});
+  const totalLines = content.split('\n').length;
+  if (entries.length === 0 || entries.some(([, s]) => s.line > s.end || s.end > totalLines)) {
+    return null;
+  }
+
+  const tolerance = settings.tolerance ?? 5;
+  const issues = checkSections(content, plugin, index.sections, { tolerance });
+
+  return {
+    sections: entries.map(([name, s]) => ({
+      name,
+      line: s.line,
+      end: s.end,
+      depth: s.depth,
+      desc: s.desc,
+      size: s.end - s.line + 1,
+      ...(s.tokens !== undefined ? { tokens: s.tokens } : {}),
+      ...(s.extra ? { extra: s.extra } : {}),
+    })),
+    issues: applyIssueOptions(issues, { ignore: settings.ignore }),
+    tokens: index.tokens,
+    generated: index.generated,
+  };
+}
+
 /**
  * Читает конкретную секцию файла
+ *
+ * depth — как у get_file_index: вложенные ключи JSON есть только в индексе той же глубины
  */
-async function readSection(filePath, sectionName) {
-  const content = await readFile(filePath, 'utf-8');
-  const lines = content.split('\n');
-  const index = await generateIndex(filePath);
+async function readSection(filePath, sectionName, options = {}) {
+  const index = await generateIndex(filePath, options);
+  const { lines } = await loadFile(filePath);
 
   const section = index.sections.find(s => s.name === sectionName);
   if (!section) {
@@ -419,13 +401,342 @@ async function readSection(filePath, sectionName) {
   };
 }
 
+// ============================================
+// Navigation
+// ============================================
+
+// Лимиты выдачи: по умолчанию и максимум на одну страницу
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_CONTEXT = 5;
+// Длинные строки (минифицированный код) обрезаются в результатах
+const MAX_LINE_LENGTH = 200;
+
+/**
+ * Индексируемые файлы в папке (или один файл) с теми же фильтрами, что у CLI:
+ * .gitignore, include/exclude из конфига, только поддерживаемые языки.
+ * Симлинки, ведущие за пределы корней, не попадают в список
+ */
+async function listFiles(path) {
+  await resolveInRoots(path);
+  const config = await projectConfig;
+  const { files } = await collectFiles([path], {
+    filter: async (file) => {
+      if (CONFIG_FILES.includes(basename(file)) || isCompanionPath(file)) return false;
+      const allowed = await resolveInRoots(file).then(() => true, (error) => {
+        if (ACCESS_ERRORS.includes(error.code)) return false;
+        throw error;
+      });
+      if (!allowed) return false;
+      const { plugin, included } = await config.forFile(file);
+      return plugin !== null && included;
+    },
+  });
+  return files.sort();
+}
+
+/**
+ * Как loadFile, но null для файлов, которые песочница не читает
+ * (бинарные, большие, симлинки наружу)
+ */
+async function tryLoadFile(file) {
+  try {
+    return await loadFile(file);
+  } catch (error) {
+    if (ACCESS_ERRORS.includes(error.code)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Страница результатов; курсор — непрозрачная строка со смещением
+ */
+function paginate(items, args) {
+  const limit = Math.min(Math.max(parseInt(args.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  let offset = 0;
+  if (args.cursor) {
+    offset = parseInt(Buffer.from(String(args.cursor), 'base64url').toString('utf-8'));
+    if (!Number.isInteger(offset) || offset < 0) throw new Error('Invalid cursor');
+  }
+
+  const page = items.slice(offset, offset + limit);
+  const next = offset + limit < items.length
+    ? Buffer.from(String(offset + limit), 'utf-8').toString('base64url')
+    : undefined;
+  return { page, total: items.length, nextCursor: next };
+}
+
+/**
+ * Самая узкая секция индекса, содержащая строку
+ */
+function sectionAt(index, line) {
+  let best = null;
+  for (const section of index.sections) {
+    if (section.line <= line && line <= section.end && (!best || section.end - section.line < best.end - best.line)) {
+      best = section;
+    }
+  }
+  return best && { name: best.name, lineStart: best.line, lineEnd: best.end };
+}
+
+function clip(text) {
+  return text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) + '…' : text;
+}
+
+/**
+ * Объявления файла из сканера языка: `class/Store` → { kind: 'class', name: 'Store' }
+ *
+ * Вместе с методами классов (JS/TS). Результат хранится в entry.indexes рядом
+ * с индексом: запись кэша и так сбрасывается при смене mtime или размера.
+ */
+function scanSymbols(entry, plugin) {
+  if (!plugin?.scanner || plugin.indexFormat === 'key') return [];
+
+  const key = `symbols:${plugin.name}`;
+  if (!entry.indexes.has(key)) entry.indexes.set(key, listSymbols(entry.content, plugin));
+  return entry.indexes.get(key);
+}
+
+function listSymbols(content, plugin) {
+  return plugin.scanner(content, { members: true })
+    .filter(s => s.name.includes('/'))
+    .map(s => {
+      const qualified = s.name.replace(/ \(\d+\)$/, '');
+      const slash = qualified.indexOf('/');
+      const name = qualified.slice(slash + 1);
+      return {
+        kind: qualified.slice(0, slash),
+        name,
+        // impl/A/new, func/(*S).M → new, M
+        shortName: name.split(/[/.]/).pop(),
+        line: s.line,
+        end: s.end,
+      };
+    });
+}
+
+/**
+ * Найти объявления по имени
+ *
+ * match: 'exact' (по умолчанию), 'prefix' или 'contains'; без учёта регистра.
+ * Сравнивается и полное имя (`(*S).M`), и последняя часть (`M`).
+ */
+async function findSymbol(args) {
+  if (!args.name) throw new Error('name is required');
+  const query = String(args.name).toLowerCase();
+  const match = args.match || 'exact';
+  const test = {
+    exact: (name) => name === query,
+    prefix: (name) => name.startsWith(query),
+    contains: (name) => name.includes(query),
+  }[match];
+  if (!test) throw new Error(`Unknown match mode "${match}" (expected exact, prefix or contains)`);
+
+  const results = [];
+  for (const file of await listFiles(args.path || await defaultPath())) {
+    const entry = await tryLoadFile(file);
+    if (!entry) continue;
+    const { plugin } = await (await projectConfig).forFile(file);
+    const symbols = scanSymbols(entry, plugin).filter(symbol =>
+      (!args.kind || symbol.kind === args.kind) &&
+      (test(symbol.name.toLowerCase()) || test(symbol.shortName.toLowerCase())));
+    if (symbols.length === 0) continue;
+
+    const index = await generateIndex(file);
+    for (const symbol of symbols) {
+      results.push({
+        file,
+        symbol: symbol.name,
+        kind: symbol.kind,
+        lineStart: symbol.line,
+        lineEnd: symbol.end,
+        section: sectionAt(index, symbol.line),
+      });
+    }
+  }
+
+  const { page, total, nextCursor } = paginate(results, args);
+  return { results: page, total, nextCursor };
+}
+
+/**
+ * Поиск строки или regex по файлам папки
+ *
+ * Совпадения (по одному на строку) разбиваются на страницы, затем
+ * группируются по файлу и секции; у каждого — несколько строк контекста.
+ */
+async function searchSections(args) {
+  if (!args.query) throw new Error('query is required');
+  const flags = args.case_sensitive ? '' : 'i';
+  let pattern;
+  try {
+    pattern = args.regex
+      ? new RegExp(args.query, flags)
+      : new RegExp(String(args.query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+  } catch (error) {
+    throw new Error(`Invalid regex: ${error.message}`);
+  }
+  const context = Math.min(Math.max(parseInt(args.context ?? 2) || 0, 0), MAX_CONTEXT);
+
+  const matches = [];
+  for (const file of await listFiles(args.path || await defaultPath())) {
+    const { lines } = await tryLoadFile(file) || {};
+    if (!lines) continue;
+    lines.forEach((text, i) => {
+      if (pattern.test(text)) matches.push({ file, line: i + 1, lines });
+    });
+  }
+
+  const { page, total, nextCursor } = paginate(matches, args);
+
+  const groups = [];
+  const indexes = new Map();
+  for (const { file, line, lines } of page) {
+    if (!indexes.has(file)) indexes.set(file, await generateIndex(file));
+    const section = sectionAt(indexes.get(file), line);
+    const key = `${file}#${section?.name ?? ''}`;
+
+    let group = groups[groups.length - 1];
+    if (!group || group.key !== key) {
+      group = { key, file, section: section?.name ?? null, lineStart: section?.lineStart, lineEnd: section?.lineEnd, matches: [] };
+      groups.push(group);
+    }
+    group.matches.push({
+      line,
+      text: clip(lines[line - 1]),
+      before: lines.slice(Math.max(0, line - 1 - context), line - 1).map(clip),
+      after: lines.slice(line, line + context).map(clip),
+    });
+  }
+
+  return { results: groups.map(({ key, ...group }) => group), total, nextCursor };
+}
+
+// ============================================
+// Resources
+// ============================================
+
+const FILE_URI = 'ai-index://file/';
+const SECTION_URI = 'ai-index://section/';
+// Как часто закэшированные файлы проверяются на изменения
+const POLL_INTERVAL = 2000;
+
+// URI, на которые подписан клиент (resources/subscribe)
+const subscriptions = new Set();
+
+/**
+ * Путь в URI: относительно рабочей папки, через "/", сегменты экранированы
+ */
+function uriPath(filePath) {
+  const rel = relative(process.cwd(), resolve(filePath));
+  const path = rel.startsWith('..') ? resolve(filePath) : rel;
+  return path.split(sep).map(encodeURIComponent).join('/');
+}
+
+function fileUri(filePath) {
+  return FILE_URI + uriPath(filePath);
+}
+
+function sectionUri(filePath, name) {
+  return `${SECTION_URI}${uriPath(filePath)}#${encodeURIComponent(name)}`;
+}
+
+/**
+ * ai-index://section/src/app.ts#class%2FApp → { path: 'src/app.ts', section: 'class/App', depth: undefined }
+ * ai-index://file/package.json?depth=2 → { path: 'package.json', section: null, depth: 2 }
+ */
+function parseUri(uri) {
+  const match = String(uri).match(/^ai-index:\/\/(file|section)\/([^#?]+)(?:\?depth=(\d+))?(?:#(.+))?$/);
+  if (!match || (match[1] === 'section') !== (match[4] !== undefined)) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  return {
+    path: decodeURIComponent(match[2]),
+    section: match[4] !== undefined ? decodeURIComponent(match[4]) : null,
+    depth: match[3] !== undefined ? Number(match[3]) : undefined,
+  };
+}
+
+/**
+ * Ресурсы индексируемых файлов рабочей папки; секции — только у файлов,
+ * которые уже в кэше (индексировать весь проект ради списка дорого)
+ */
+async function listResources() {
+  const resources = [];
+  for (const file of await listFiles(await defaultPath())) {
+    resources.push({
+      uri: fileUri(file),
+      name: file,
+      description: 'Section map',
+      mimeType: 'application/json'
+    });
+    if (!cache.has(await realpath(file).catch(() => null))) continue;
+
+    for (const section of (await generateIndex(file)).sections) {
+      resources.push({
+        uri: sectionUri(file, section.name),
+        name: `${file}#${section.name}`,
+        description: section.desc || `Lines ${section.line}-${section.end}`,
+        mimeType: 'text/plain'
+      });
+    }
+  }
+  return resources;
+}
+
+async function readResource(uri) {
+  const { path, section, depth } = parseUri(uri);
+
+  if (section === null) {
+    return { uri, mimeType: 'application/json', text: JSON.stringify(await generateIndex(path, { depth }), null, 2) };
+  }
+
+  const result = await readSection(path, section, { depth });
+  if (result.error) throw new Error(result.error);
+  return { uri, mimeType: 'text/plain', text: result.content };
+}
+
+function sectionNames(entry) {
+  const index = entry && [...entry.indexes.values()].find(value => value.sections);
+  return index ? index.sections.map(s => s.name).join('\n') : null;
+}
+
+/**
+ * Сверяет кэш с диском: подписчики изменённого файла получают updated,
+ * а если пропал файл или поменялся список секций — list_changed
+ */
+async function pollFiles() {
+  let listChanged = false;
+
+  for (const [key, entry] of [...cache]) {
+    const current = await stat(key).catch(() => null);
+    if (current && current.mtimeMs === entry.mtimeMs && current.size === entry.size) continue;
+
+    const before = sectionNames(entry);
+    cache.delete(key);
+    if (current) {
+      await generateIndex(entry.path).catch(() => cache.delete(key));
+    }
+    if (!current || (before !== null && before !== sectionNames(cache.get(key)))) listChanged = true;
+
+    for (const uri of subscriptions) {
+      const path = resolve(parseUri(uri).path);
+      if (await realpath(path).catch(() => path) === key) {
+        await server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+  }
+
+  if (listChanged) await server.sendResourceListChanged().catch(() => {});
+}
+
 // ============================================
 // MCP Server
 // ============================================
 
 const server = new Server(
   { name: 'ai-index', version: '2.1.0' },
-  { capabilities: { tools: {} } }
+  { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true } } }
 );
 
 server.setRequestHandler('tools/list', async () => ({
@@ -439,6 +750,10 @@ server.setRequestHandler('tools/list', async () => ({
           file_path: {
             type: 'string',
             description: 'Path to the file to index'
+          },
+          depth: {
+            type: 'number',
+            description: 'JSON files: index keys down to this nesting level (default 1)'
           }
         },
         required: ['file_path']
@@ -457,10 +772,87 @@ server.setRequestHandler('tools/list', async () => ({
           section_name: {
             type: 'string',
             description: 'Name of the section to read'
+          },
+          depth: {
+            type: 'number',
+            description: 'JSON files: the depth the section was listed at by get_file_index (default 1)'
           }
         },
         required: ['file_path', 'section_name']
       }
+    },
+    {
+      name: 'find_symbol',
+      description: 'Find where a top-level function, class, type or other declaration is defined. Returns file, enclosing section and line range. Methods are found in JS/TS classes, and in Python classes and Rust/Go/C#/Java containers of 150+ lines. Use instead of opening files to look for a definition.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Declaration name, e.g. "createStore", "Store" or "(*Server).Start" (case-insensitive)'
+          },
+          path: {
+            type: 'string',
+            description: 'Directory or file to search (default: current directory)'
+          },
+          kind: {
+            type: 'string',
+            description: 'Only this kind of declaration: function, class, interface, type, def, fn, struct, ...'
+          },
+          match: {
+            type: 'string',
+            enum: ['exact', 'prefix', 'contains'],
+            description: 'How to compare names (default exact)'
+          },
+          limit: {
+            type: 'number',
+            description: `Results per page (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})`
+          },
+          cursor: {
+            type: 'string',
+            description: 'nextCursor from the previous page'
+          }
+        },
+        required: ['name']
+      }
+    },
+    {
+      name: 'search_sections',
+      description: 'Search files in a directory for text or a regex. Matches are grouped by file and section, with a few lines of context, so you can read just the relevant section next.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Text to find (literal unless regex is true)'
+          },
+          path: {
+            type: 'string',
+            description: 'Directory or file to search (default: current directory)'
+          },
+          regex: {
+            type: 'boolean',
+            description: 'Treat query as a JavaScript regular expression'
+          },
+          case_sensitive: {
+            type: 'boolean',
+            description: 'Match case (default false)'
+          },
+          context: {
+            type: 'number',
+            description: `Lines of context around each match (default 2, max ${MAX_CONTEXT})`
+          },
+          limit: {
+            type: 'number',
+            description: `Matches per page (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})`
+          },
+          cursor: {
+            type: 'string',
+            description: 'nextCursor from the previous page'
+          }
+        },
+        required: ['query']
+      }
     }
   ]
 }));
@@ -470,7 +862,7 @@ server.setRequestHandler('tools/call', async (request) => {
 
   try {
     if (name === 'get_file_index') {
-      const index = await generateIndex(args.file_path);
+      const index = await generateIndex(args.file_path, { depth: args.depth });
       return {
         content: [{
           type: 'text',
@@ -480,7 +872,17 @@ server.setRequestHandler('tools/call', async (request) => {
     }
 
     if (name === 'read_section') {
-      const result = await readSection(args.file_path, args.section_name);
+      const result = await readSection(args.file_path, args.section_name, { depth: args.depth });
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      };
+    }
+
+    if (name === 'find_symbol' || name === 'search_sections') {
+      const result = name === 'find_symbol' ? await findSymbol(args) : await searchSections(args);
       return {
         content: [{
           type: 'text',
@@ -494,13 +896,80 @@ server.setRequestHandler('tools/call', async (request) => {
     return {
       content: [{
         type: 'text',
-        text: `Error: ${error.message}`
+        text: JSON.stringify({ error: { code: error.code || 'ERROR', message: error.message } }, null, 2)
       }],
       isError: true
     };
   }
 });
 
+server.setRequestHandler('resources/list', async (request) => {
+  const { page, nextCursor } = paginate(await listResources(), {
+    cursor: request.params?.cursor,
+    limit: MAX_LIMIT
+  });
+  return { resources: page, nextCursor };
+});
+
+server.setRequestHandler('resources/templates/list', async () => ({
+  resourceTemplates: [
+    {
+      uriTemplate: `${FILE_URI}{path}{?depth}`,
+      name: 'File index',
+      description: 'Section map of a file: names, line ranges, descriptions',
+      mimeType: 'application/json'
+    },
+    {
+      uriTemplate: `${SECTION_URI}{path}{?depth}#{section}`,
+      name: 'Section',
+      description: 'Lines of one section (section name URL-encoded, depth as in the file index)',
+      mimeType: 'text/plain'
+    }
+  ]
+}));
+
+server.setRequestHandler('resources/read', async (request) => {
+  try {
+    return { contents: [await readResource(request.params.uri)] };
+  } catch (error) {
+    if (!ACCESS_ERRORS.includes(error.code)) throw error;
+    throw new McpError(ErrorCode.InvalidParams, error.message, { code: error.code });
+  }
+});
+
+server.setRequestHandler('resources/subscribe', async (request) => {
+  const { path } = parseUri(request.params.uri);
+  subscriptions.add(request.params.uri);
+  // Файл попадает в кэш, чтобы его изменения было с чем сравнивать
+  await generateIndex(path).catch(() => {});
+  return {};
+});
+
+server.setRequestHandler('resources/unsubscribe', async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Клиент сменил набор папок: корни перечитываются при следующем запросе
+server.setNotificationHandler('notifications/roots/list_changed', async () => {
+  if (configuredRoots.length > 0) return;
+  allowedRoots = null;
+  // Конфиги, найденные для старых корней, могли лежать вне новых
+  projectConfig = openProjectConfig();
+});
+
+// Проверки не пересекаются, таймер не держит процесс
+let polling = false;
+setInterval(async () => {
+  if (polling || cache.size === 0) return;
+  polling = true;
+  try {
+    await pollFiles();
+  } finally {
+    polling = false;
+  }
+}, POLL_INTERVAL).unref();
+
 // Start server
 const transport = new StdioServerTransport();
 await server.connect(transport);
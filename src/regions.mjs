@@ -0,0 +1,135 @@
+/**
+ * Explicit section markers (#region / SECTION:)
+ *
+ * Regions nest: an inner region becomes `parent/child` and the parent
+ * range covers all of its children. SECTION markers are flat siblings
+ * inside the enclosing region and run until the next marker.
+ *
+ * @module @physcode/ai-index/regions
+ */
+
+const DEFAULT_REGION_START = /^\/\/#region\s+(.+?)(?:\s*[—\-]\s*(.+))?$/;
+const DEFAULT_REGION_END = /^\/\/#endregion/;
+const DEFAULT_SECTION_MARKER = /\/\/\s*(?:={3,}\s*)?SECTION:\s*(.+?)(?:\s*={3,})?\s*$/i;
+
+/**
+ * Full name of a nested section (`nodes` inside `store` → `store/nodes`)
+ */
+function qualify(parent, name) {
+  if (!parent || name.startsWith(`${parent.name}/`)) return name;
+  return `${parent.name}/${name}`;
+}
+
+/**
+ * Scan region and section markers
+ *
+ * @returns {{ sections: Array<{ name, line, end, depth, desc }>, issues: Array<{ line, message }> }}
+ */
+export function scanRegions(content, plugin) {
+  const sections = [];
+  const issues = [];
+  const lines = content.split('\n');
+  const stack = [];
+
+  // Use plugin-specific patterns or fallback to TypeScript patterns
+  const regionStart = plugin?.regionStart || DEFAULT_REGION_START;
+  const regionEnd = plugin?.regionEnd || DEFAULT_REGION_END;
+  const sectionMarker = plugin?.sectionMarker || DEFAULT_SECTION_MARKER;
+
+  const top = () => stack[stack.length - 1];
+  const close = (end) => {
+    const section = stack.pop();
+    section.end = end;
+    delete section.kind;
+  };
+  // Nearest enclosing region (SECTION markers don't own children)
+  const parentRegion = () => [...stack].reverse().find(s => s.kind === 'region');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const lineNum = i + 1;
+
+    const regionMatch = line.match(regionStart);
+    if (regionMatch) {
+      const section = {
+        name: qualify(top(), regionMatch[1].trim()),
+        line: lineNum,
+        end: lineNum,
+        depth: stack.length,
+        desc: regionMatch[2]?.trim() || '',
+        kind: 'region',
+      };
+      sections.push(section);
+      stack.push(section);
+      continue;
+    }
+
+    if (regionEnd.test(line)) {
+      // Open SECTION markers end right before their region does
+      while (top()?.kind === 'marker') close(lineNum - 1);
+      if (top()) {
+        close(lineNum);
+      } else {
+        issues.push({ line: lineNum, message: 'endregion without matching region' });
+      }
+      continue;
+    }
+
+    const markerMatch = line.match(sectionMarker);
+    if (markerMatch) {
+      if (top()?.kind === 'marker') close(lineNum - 1);
+      const parent = parentRegion();
+      const section = {
+        name: qualify(parent, markerMatch[1].trim()),
+        line: lineNum,
+        end: lineNum,
+        depth: stack.length,
+        desc: '',
+        kind: 'marker',
+      };
+      sections.push(section);
+      stack.push(section);
+    }
+  }
+
+  while (stack.length > 0) {
+    if (top().kind === 'region') {
+      issues.push({ line: top().line, message: `region "${top().name}" is never closed` });
+    }
+    close(lines.length);
+  }
+
+  issues.sort((a, b) => a.line - b.line);
+  return { sections, issues };
+}
+
+/**
+ * Find explicit section markers in content
+ */
+export function findSections(content, plugin) {
+  return scanRegions(content, plugin).sections;
+}
+
+/**
+ * Check that nested ranges lie inside their parents (`a/b` inside `a`)
+ *
+ * @param {Object<string, { line: number, end: number }>} indexed
+ * @returns {Array<{ name: string, message: string }>} Problems found
+ */
+export function checkNesting(indexed) {
+  const errors = [];
+
+  for (const [name, section] of Object.entries(indexed)) {
+    const slash = name.lastIndexOf('/');
+    if (slash === -1) continue;
+    const parent = indexed[name.slice(0, slash)];
+    if (parent && (section.line < parent.line || section.end > parent.end)) {
+      errors.push({
+        name,
+        message: `Section "${name}" (${section.line}-${section.end}) is outside its parent (${parent.line}-${parent.end})`,
+      });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,172 @@
+/**
+ * Machine-readable `verify` reports: JSON, SARIF, JUnit and GitHub annotations
+ *
+ * Each reporter takes the per-file results (`{ file, valid, issues, skipped? }`)
+ * and returns the text to print.
+ *
+ * @module @physcode/ai-index/reporters
+ */
+
+import { relative, sep } from 'path';
+import { ISSUE_CODES } from './issues.mjs';
+
+export const REPORTERS = ['text', 'json', 'sarif', 'junit', 'github'];
+
+const INFORMATION_URI = 'https://github.com/physcode/ai-index';
+
+function displayPath(file) {
+  return relative(process.cwd(), file).split(sep).join('/');
+}
+
+/**
+ * Flatten results into `{ file, code, severity, message, line }`
+ */
+function allIssues(results) {
+  return results.flatMap(result => (result.issues || []).map(issue => ({
+    ...issue,
+    file: displayPath(issue.file || result.file),
+  })));
+}
+
+function summarize(results) {
+  const issues = allIssues(results);
+  return {
+    files: results.length,
+    skipped: results.filter(r => r.skipped).length,
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+  };
+}
+
+// ============================================
+// JSON
+// ============================================
+
+function formatJson(results) {
+  return JSON.stringify({
+    files: results.map(result => ({
+      file: displayPath(result.file),
+      status: result.skipped ? 'skipped' : result.valid ? 'valid' : 'invalid',
+      issues: (result.issues || []).map(issue => ({ ...issue, file: displayPath(issue.file || result.file) })),
+    })),
+    summary: summarize(results),
+  }, null, 2);
+}
+
+// ============================================
+// SARIF 2.1.0
+// ============================================
+
+function formatSarif(results) {
+  const issues = allIssues(results);
+  const codes = [...new Set(issues.map(i => i.code))].sort();
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ai-index',
+          informationUri: INFORMATION_URI,
+          rules: codes.map(code => ({
+            id: code,
+            shortDescription: { text: ISSUE_CODES[code].title },
+            defaultConfiguration: { level: ISSUE_CODES[code].severity },
+          })),
+        },
+      },
+      results: issues.map(issue => ({
+        ruleId: issue.code,
+        level: issue.severity,
+        message: { text: issue.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: issue.file },
+            region: { startLine: issue.line },
+          },
+        }],
+      })),
+    }],
+  }, null, 2);
+}
+
+// ============================================
+// JUnit XML
+// ============================================
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatJunit(results) {
+  const summary = summarize(results);
+  const failures = results.filter(r => !r.skipped && !r.valid).length;
+
+  const cases = results.map(result => {
+    const name = escapeXml(displayPath(result.file));
+    const open = `    <testcase classname="ai-index.verify" name="${name}">`;
+    if (result.skipped) return `${open}<skipped/></testcase>`;
+
+    const errors = (result.issues || []).filter(i => i.severity === 'error');
+    const warnings = (result.issues || []).filter(i => i.severity === 'warning');
+    const body = [];
+    if (errors.length > 0) {
+      const text = errors.map(i => `${i.code} line ${i.line}: ${i.message}`).join('\n');
+      body.push(`      <failure message="${escapeXml(errors[0].message)}" type="${errors[0].code}">${escapeXml(text)}</failure>`);
+    }
+    if (warnings.length > 0) {
+      const text = warnings.map(i => `warning ${i.code} line ${i.line}: ${i.message}`).join('\n');
+      body.push(`      <system-out>${escapeXml(text)}</system-out>`);
+    }
+    return body.length > 0 ? `${open}\n${body.join('\n')}\n    </testcase>` : `${open}</testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="ai-index" tests="${summary.files}" failures="${failures}" skipped="${summary.skipped}">`,
+    `  <testsuite name="ai-index verify" tests="${summary.files}" failures="${failures}" skipped="${summary.skipped}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+  ].join('\n');
+}
+
+// ============================================
+// GitHub Actions
+// ============================================
+
+// https://docs.github.com/actions/using-workflows/workflow-commands-for-github-actions
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+function formatGithub(results) {
+  return allIssues(results)
+    .map(issue => `::${issue.severity} file=${escapeProperty(issue.file)},line=${issue.line},title=${escapeProperty(`ai-index ${issue.code}`)}::${escapeData(issue.message)}`)
+    .join('\n');
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  sarif: formatSarif,
+  junit: formatJunit,
+  github: formatGithub,
+};
+
+/**
+ * Format verify results for `reporter` (text output is printed per file instead)
+ */
+export function formatReport(results, reporter) {
+  const format = FORMATTERS[reporter];
+  if (!format) throw new Error(`Unknown reporter: ${reporter}`);
+  return format(results);
+}
@@ -0,0 +1,529 @@
+/**
+ * Brace-matched block scanner for Rust, Go, C# and Java
+ *
+ * Finds where each top-level item (`impl`, `struct`, `fn`, `func`,
+ * `class`, `interface`, ...) really ends by matching braces, skipping
+ * comments, strings, char literals and each language's raw strings.
+ * Large containers also get one subsection per member.
+ *
+ * @module @physcode/ai-index/scanners/c-family
+ */
+
+import { leadingCommentLine, uniqueNames } from './common.mjs';
+
+// Containers at least this long get `parent/member` subsections
+export const LARGE_BLOCK_LINES = 150;
+
+// ============================================
+// Tokenizer
+// ============================================
+
+const IDENTIFIER_START = /[A-Za-z_$\u0080-\uFFFF]/;
+const IDENTIFIER = /[\w$\u0080-\uFFFF]/;
+const RUST_RAW_STRING = /b?r(#*)"/y;
+
+/**
+ * Split source into tokens with line numbers
+ *
+ * @param {string} content
+ * @param {'rust'|'go'|'csharp'|'java'} dialect
+ * @returns {{ tokens: Array<{ type, value, line, endLine }>, comments: Array<{ line, endLine }> }}
+ */
+export function tokenizeCFamily(content, dialect) {
+  const tokens = [];
+  const comments = [];
+  const n = content.length;
+  let line = 1;
+  let i = 0;
+
+  const push = (type, value, startLine) => {
+    tokens.push({ type, value, line: startLine, endLine: line });
+  };
+
+  // Advance to just past `close`, counting lines
+  const skipTo = (close) => {
+    while (i < n && !content.startsWith(close, i)) {
+      if (content[i] === '\n') line++;
+      i++;
+    }
+    i += close.length;
+  };
+
+  // Quoted string with backslash escapes (single line unless `multiline`)
+  const skipQuoted = (quote, multiline) => {
+    i++;
+    while (i < n && content[i] !== quote) {
+      if (content[i] === '\n') {
+        if (!multiline) return;
+        line++;
+      }
+      if (content[i] === '\\') {
+        i++;
+        if (content[i] === '\n') line++;
+      }
+      i++;
+    }
+    i++;
+  };
+
+  // C# verbatim string: `""` is an escaped quote
+  const skipVerbatim = () => {
+    i++;
+    while (i < n) {
+      if (content[i] === '"') {
+        if (content[i + 1] !== '"') break;
+        i++;
+      } else if (content[i] === '\n') {
+        line++;
+      }
+      i++;
+    }
+    i++;
+  };
+
+  // C# interpolated string: skip `{holes}`, which may hold strings of their own
+  const skipInterpolated = () => {
+    let holes = 0;
+    i++;
+    while (i < n && content[i] !== '\n') {
+      const c = content[i];
+      if (holes === 0 && c === '"') break;
+      if (c === '\\' && holes === 0) {
+        i += 2;
+        continue;
+      }
+      if (c === '{' && content[i + 1] === '{' && holes === 0) i++;
+      else if (c === '{') holes++;
+      else if (c === '}' && holes > 0) holes--;
+      else if (c === '"') {
+        skipQuoted('"', false);
+        continue;
+      }
+      i++;
+    }
+    i++;
+  };
+
+  const rawStringAt = (at) => {
+    RUST_RAW_STRING.lastIndex = at;
+    return RUST_RAW_STRING.exec(content);
+  };
+
+  while (i < n) {
+    const c = content[i];
+    const next = content[i + 1];
+    const startLine = line;
+    const raw = dialect === 'rust' && (c === 'r' || c === 'b') ? rawStringAt(i) : null;
+
+    if (c === '\n') {
+      line++;
+      i++;
+    } else if (c === ' ' || c === '\t' || c === '\r' || c === '\uFEFF') {
+      i++;
+    } else if (c === '/' && next === '/') {
+      while (i < n && content[i] !== '\n') i++;
+      comments.push({ line: startLine, endLine: startLine });
+    } else if (c === '/' && next === '*') {
+      // Rust block comments nest
+      let depth = 1;
+      i += 2;
+      while (i < n && depth > 0) {
+        if (content.startsWith('*/', i)) {
+          depth--;
+          i += 2;
+        } else if (dialect === 'rust' && content.startsWith('/*', i)) {
+          depth++;
+          i += 2;
+        } else {
+          if (content[i] === '\n') line++;
+          i++;
+        }
+      }
+      comments.push({ line: startLine, endLine: line });
+    } else if (raw) {
+      // Rust raw strings: r"..", r#".."#, br##".."##
+      i += raw[0].length;
+      skipTo(`"${raw[1]}`);
+      push('string', '"', startLine);
+    } else if (c === '"' && content.startsWith('"""', i) && dialect !== 'go' && dialect !== 'rust') {
+      // Java text blocks, C# raw strings ("""" ... """" with any quote count)
+      let quotes = 0;
+      while (content[i] === '"') {
+        quotes++;
+        i++;
+      }
+      skipTo('"'.repeat(quotes));
+      push('string', '"', startLine);
+    } else if (c === '"') {
+      skipQuoted('"', dialect === 'rust');
+      push('string', '"', startLine);
+    } else if (dialect === 'csharp' && (c === '@' || c === '$') && /^(?:@\$?|\$@?)"/.test(content.slice(i, i + 3))) {
+      const verbatim = content.slice(i, i + 3).includes('@');
+      while (content[i] !== '"') i++;
+      if (verbatim) skipVerbatim();
+      else skipInterpolated();
+      push('string', '"', startLine);
+    } else if (dialect === 'go' && c === '`') {
+      i++;
+      skipTo('`');
+      push('string', '`', startLine);
+    } else if (c === "'") {
+      // Char literal, or a Rust lifetime / loop label ('a, 'static)
+      const width = next === '\\' ? 0 : (content.codePointAt(i + 1) > 0xffff ? 2 : 1);
+      if (next === '\\') {
+        skipQuoted("'", false);
+        push('char', "'", startLine);
+      } else if (content[i + 1 + width] === "'") {
+        i += 2 + width;
+        push('char', "'", startLine);
+      } else {
+        i++;
+        push('punct', "'", startLine);
+      }
+    } else if (IDENTIFIER_START.test(c) || /\d/.test(c)) {
+      let value = '';
+      while (i < n && IDENTIFIER.test(content[i])) value += content[i++];
+      push('word', value, startLine);
+    } else {
+      i++;
+      push('punct', c, startLine);
+    }
+  }
+
+  return { tokens, comments };
+}
+
+// ============================================
+// Items
+// ============================================
+
+// After `}` these keep the item going (`= Foo { .. };`, enum constants)
+const AFTER_BLOCK = new Set([';', ',', '.', ')', '=', '?', ':']);
+
+/**
+ * Go inserts a semicolon at a newline after these tokens
+ */
+function goStatementEnds(tokens, k) {
+  const token = tokens[k];
+  if (token.type !== 'punct') return true;
+  if ([')', ']', '}'].includes(token.value)) return true;
+  return ['+', '-'].includes(token.value) && tokens[k - 1]?.value === token.value;
+}
+
+/**
+ * Split tokens[from, to) into items at the same nesting level
+ *
+ * @returns {Array<[number, number]>} Token index ranges (end exclusive)
+ */
+function splitItems(tokens, from, to, dialect) {
+  const items = [];
+  let start = from;
+  let depth = 0;
+
+  for (let k = from; k < to; k++) {
+    const token = tokens[k];
+    const nextToken = k + 1 < to ? tokens[k + 1] : null;
+
+    if (token.type === 'punct') {
+      if ('{(['.includes(token.value)) depth++;
+      else if ('})]'.includes(token.value)) depth = Math.max(0, depth - 1);
+    }
+    if (depth > 0) continue;
+
+    let ends = false;
+    if (token.value === ';' && token.type === 'punct') {
+      ends = true;
+    } else if (dialect === 'go') {
+      ends = !nextToken || (nextToken.line > token.endLine && goStatementEnds(tokens, k));
+    } else if (token.value === '}' && token.type === 'punct') {
+      ends = !nextToken || !AFTER_BLOCK.has(nextToken.value);
+    } else if (token.value === ']' && tokens[start].value === '#' && tokens[start + 1]?.value === '!') {
+      // Rust inner attribute: #![...]
+      ends = true;
+    }
+
+    if (ends) {
+      items.push([start, k + 1]);
+      start = k + 1;
+    }
+  }
+
+  if (start < to) items.push([start, to]);
+  return items;
+}
+
+/**
+ * Index of the bracket closing the one at `open`
+ */
+function matchBracket(tokens, open, to) {
+  let depth = 0;
+  for (let k = open; k < to; k++) {
+    if (tokens[k].type !== 'punct') continue;
+    if ('{(['.includes(tokens[k].value)) depth++;
+    else if ('})]'.includes(tokens[k].value) && --depth === 0) return k;
+  }
+  return to - 1;
+}
+
+/**
+ * Body of a block item: tokens between its first top-level `{` and the matching `}`
+ */
+function findBody(tokens, [from, to]) {
+  let depth = 0;
+  for (let k = from; k < to; k++) {
+    const value = tokens[k].type === 'punct' ? tokens[k].value : null;
+    if (value === '{' && depth === 0) return [k + 1, matchBracket(tokens, k, to)];
+    if (value && '([<'.includes(value)) depth++;
+    else if (value && ')]>'.includes(value)) depth = Math.max(0, depth - 1);
+    else if (value === ';' || value === '=') return null;
+  }
+  return null;
+}
+
+// ============================================
+// Classification
+// ============================================
+
+const MODIFIERS = new Set([
+  // Rust
+  'pub', 'async', 'unsafe', 'extern', 'default',
+  // C# / Java
+  'public', 'private', 'protected', 'internal', 'static', 'abstract', 'sealed',
+  'partial', 'final', 'readonly', 'virtual', 'override', 'new', 'file', 'strictfp',
+  'synchronized', 'native', 'transient', 'volatile', 'required', 'ref',
+]);
+
+const TYPE_KEYWORDS = {
+  rust: new Set(['struct', 'enum', 'trait', 'union', 'type', 'mod']),
+  go: new Set(),
+  csharp: new Set(['class', 'interface', 'struct', 'enum', 'record']),
+  java: new Set(['class', 'interface', 'enum', 'record']),
+};
+
+const CONTAINERS = new Set(['impl', 'trait', 'mod', 'class', 'interface', 'struct', 'record', 'enum']);
+
+/**
+ * Skip attributes and annotations: #[..], #![..], [..], @Name(..)
+ */
+function skipAttributes(tokens, k, to, dialect) {
+  while (k < to) {
+    const token = tokens[k];
+    if (dialect === 'rust' && token.value === '#') {
+      const open = tokens[k + 1]?.value === '!' ? k + 2 : k + 1;
+      if (tokens[open]?.value !== '[') return k;
+      k = matchBracket(tokens, open, to) + 1;
+    } else if (dialect === 'csharp' && token.value === '[') {
+      k = matchBracket(tokens, k, to) + 1;
+    } else if (dialect === 'java' && token.value === '@' && tokens[k + 1]?.value !== 'interface') {
+      k += 2;
+      while (tokens[k]?.value === '.' && tokens[k + 1]?.type === 'word') k += 2;
+      if (tokens[k]?.value === '(') k = matchBracket(tokens, k, to) + 1;
+    } else {
+      return k;
+    }
+  }
+  return k;
+}
+
+function skipModifiers(tokens, k, to) {
+  while (k < to) {
+    const token = tokens[k];
+    if (token.type === 'word' && MODIFIERS.has(token.value)) {
+      k++;
+      // pub(crate), extern "C"
+      if (token.value === 'pub' && tokens[k]?.value === '(') k = matchBracket(tokens, k, to) + 1;
+      else if (token.value === 'extern' && tokens[k]?.type === 'string') k++;
+    } else if (token.value === 'const' && ['fn', 'unsafe', 'async', 'extern'].includes(tokens[k + 1]?.value)) {
+      k++;
+    } else {
+      return k;
+    }
+  }
+  return k;
+}
+
+/**
+ * Source text of tokens, without generic arguments (`Parser<'a, T>` → `Parser`)
+ */
+function typeText(tokens, from, to) {
+  let text = '';
+  let angle = 0;
+  for (let k = from; k < to; k++) {
+    const value = tokens[k].value;
+    if (value === '<') angle++;
+    else if (value === '>') angle = Math.max(0, angle - 1);
+    else if (angle === 0 && tokens[k].type !== 'string') {
+      text += tokens[k].type === 'word' && /\w$/.test(text) ? ` ${value}` : value;
+    }
+  }
+  return text;
+}
+
+function rustImplName(tokens, k, to) {
+  if (tokens[k]?.value === '<') {
+    let angle = 0;
+    for (; k < to; k++) {
+      if (tokens[k].value === '<') angle++;
+      else if (tokens[k].value === '>' && --angle === 0) break;
+    }
+    k++;
+  }
+  let end = k;
+  while (end < to && tokens[end].value !== '{' && tokens[end].value !== 'where') end++;
+  return typeText(tokens, k, end).replace(/\s*for\s*/, ' for ');
+}
+
+function goFuncName(tokens, k, to) {
+  if (tokens[k]?.value !== '(') return tokens[k]?.value;
+
+  // Method: func (s *Server) Start(...)
+  const close = matchBracket(tokens, k, to);
+  const receiver = tokens.slice(k + 1, close);
+  const pointer = receiver.some(t => t.value === '*');
+  const bracket = receiver.findIndex(t => t.value === '[');
+  const type = (bracket === -1 ? receiver : receiver.slice(0, bracket)).filter(t => t.type === 'word').pop()?.value;
+  const method = tokens[close + 1]?.value;
+  return pointer ? `(*${type}).${method}` : `${type}.${method}`;
+}
+
+/**
+ * Name of the member declared by tokens[k, to) (methods, constructors)
+ */
+function memberName(tokens, k, to) {
+  for (let j = k; j < to; j++) {
+    const value = tokens[j].value;
+    if (value === '=' || value === '{' || value === ';') return null;
+    if (value !== '(') continue;
+
+    // Step back over generic parameters: Foo<T>(...)
+    let back = j - 1;
+    if (tokens[back]?.value === '>') {
+      let angle = 0;
+      for (; back > k; back--) {
+        if (tokens[back].value === '>') angle++;
+        else if (tokens[back].value === '<' && --angle === 0) break;
+      }
+      back--;
+    }
+    return tokens[back]?.type === 'word' ? tokens[back].value : null;
+  }
+  return null;
+}
+
+/**
+ * Classify an item: `{ kind, name, transparent? }` or null
+ */
+function classify(tokens, [from, to], dialect, member) {
+  let k = skipAttributes(tokens, from, to, dialect);
+  k = skipModifiers(tokens, k, to);
+  const word = (j) => j < to && tokens[j].type === 'word' ? tokens[j].value : null;
+  const keyword = word(k);
+  if (k >= to) return null;
+
+  if (dialect === 'rust') {
+    if (keyword === 'use' || (keyword === 'extern' && word(k + 1) === 'crate')) return { kind: 'imports' };
+    if (keyword === 'fn') return { kind: 'fn', name: word(k + 1) };
+    if (keyword === 'impl') return { kind: 'impl', name: rustImplName(tokens, k + 1, to) };
+    if (keyword === 'const' || keyword === 'static') {
+      return { kind: keyword, name: word(k + 1) === 'mut' ? word(k + 2) : word(k + 1) };
+    }
+    if (keyword === 'macro_rules' && tokens[k + 1]?.value === '!') return { kind: 'macro', name: word(k + 2) };
+  }
+
+  if (dialect === 'go') {
+    if (keyword === 'import') return { kind: 'imports' };
+    if (keyword === 'func') return { kind: 'func', name: goFuncName(tokens, k + 1, to) };
+    if (['type', 'var', 'const'].includes(keyword)) {
+      if (tokens[k + 1]?.value === '(') return { kind: keyword };
+      const name = word(k + 1);
+      const kind = keyword === 'type' && ['struct', 'interface'].includes(word(k + 2)) ? word(k + 2) : keyword;
+      return { kind, name };
+    }
+    return null;
+  }
+
+  if (dialect === 'csharp' || dialect === 'java') {
+    if (keyword === 'using' || keyword === 'import' || (keyword === 'global' && word(k + 1) === 'using')) {
+      return member ? null : { kind: 'imports' };
+    }
+    if (keyword === 'namespace') return { kind: 'namespace', transparent: true };
+    if (tokens[k]?.value === '@' && word(k + 1) === 'interface') return { kind: 'interface', name: word(k + 2) };
+  }
+
+  if (TYPE_KEYWORDS[dialect].has(keyword)) {
+    // C# `record struct X`, `record class X`
+    const nameAt = keyword === 'record' && ['struct', 'class'].includes(word(k + 1)) ? k + 2 : k + 1;
+    return { kind: keyword, name: word(nameAt) };
+  }
+
+  if (member && (dialect === 'csharp' || dialect === 'java')) {
+    const name = memberName(tokens, k, to);
+    if (name) return { kind: 'method', name };
+  }
+
+  return null;
+}
+
+// ============================================
+// Sections
+// ============================================
+
+function scanItems(context, from, to, parent, sections) {
+  const { tokens, comments, codeLines, dialect } = context;
+  const depth = parent ? parent.depth + 1 : 0;
+
+  for (const range of splitItems(tokens, from, to, dialect)) {
+    const item = classify(tokens, range, dialect, Boolean(parent));
+    if (!item) continue;
+
+    const body = findBody(tokens, range);
+    if (item.transparent) {
+      // C# block namespaces: index their contents as top-level items
+      if (body) scanItems(context, body[0], body[1], parent, sections);
+      continue;
+    }
+    if (parent && item.kind === 'imports') continue;
+
+    const label = item.name ? `${item.kind}/${item.name}` : item.kind;
+    const name = parent ? `${parent.name}/${item.name || item.kind}` : label;
+    const line = leadingCommentLine(comments, tokens[range[0]].line, codeLines);
+    const end = tokens[range[1] - 1].endLine;
+    const last = sections[sections.length - 1];
+
+    // Import blocks and overloads collapse into one section
+    if (last && last.name === name) {
+      last.end = end;
+      continue;
+    }
+
+    const section = { name, line, end, depth, desc: '' };
+    sections.push(section);
+
+    if (!parent && body && CONTAINERS.has(item.kind) && end - line + 1 >= LARGE_BLOCK_LINES) {
+      scanItems(context, body[0], body[1], section, sections);
+    }
+  }
+}
+
+/**
+ * Find one section per top-level item
+ *
+ * @param {string} content
+ * @param {{ dialect: 'rust'|'go'|'csharp'|'java' }} options
+ * @returns {Array<{ name: string, line: number, end: number, depth: number, desc: string }>}
+ */
+export function scanCFamilySections(content, options) {
+  const { dialect } = options;
+  const { tokens, comments } = tokenizeCFamily(content, dialect);
+  const codeLines = new Set(tokens.map(t => t.endLine));
+  const sections = [];
+
+  scanItems({ tokens, comments, codeLines, dialect }, 0, tokens.length, null, sections);
+
+  return uniqueNames(sections);
+}
+
+export const scanRustSections = (content, options = {}) => scanCFamilySections(content, { ...options, dialect: 'rust' });
+export const scanGoSections = (content, options = {}) => scanCFamilySections(content, { ...options, dialect: 'go' });
+export const scanCSharpSections = (content, options = {}) => scanCFamilySections(content, { ...options, dialect: 'csharp' });
+export const scanJavaSections = (content, options = {}) => scanCFamilySections(content, { ...options, dialect: 'java' });
@@ -0,0 +1,39 @@
+/**
+ * Helpers shared by the language scanners
+ *
+ * @module @physcode/ai-index/scanners/common
+ */
+
+/**
+ * First line of the comments directly above `line` (no blank line in between,
+ * no code on their lines)
+ *
+ * @param {Array<{ line: number, endLine: number }>} comments - In source order
+ * @param {number} line - First line of the declaration
+ * @param {Set<number>} codeLines - Lines that hold code
+ */
+export function leadingCommentLine(comments, line, codeLines) {
+  let start = line;
+  for (let k = comments.length - 1; k >= 0; k--) {
+    const comment = comments[k];
+    if (comment.line >= start) continue;
+    if (comment.endLine !== start - 1 || codeLines.has(comment.line)) break;
+    start = comment.line;
+  }
+  return start;
+}
+
+/**
+ * Names must be unique within an index table: repeats get ` (2)`, ` (3)`, ...
+ *
+ * Renames in place and returns `sections`.
+ */
+export function uniqueNames(sections) {
+  const seen = new Map();
+  for (const section of sections) {
+    const count = (seen.get(section.name) || 0) + 1;
+    seen.set(section.name, count);
+    if (count > 1) section.name = `${section.name} (${count})`;
+  }
+  return sections;
+}
@@ -0,0 +1,422 @@
+/**
+ * JavaScript / TypeScript declaration scanner
+ *
+ * Splits a module into top-level statements while skipping strings,
+ * template literals, regex literals and comments, and emits one section
+ * per declaration (`function/foo`, `class/Store`, `interface/Props`, ...).
+ * On request class members get their own nested sections (`class/Store/add`).
+ * Dependency-free and tolerant of syntax it doesn't understand.
+ *
+ * @module @physcode/ai-index/scanners/javascript
+ */
+
+import { leadingCommentLine, uniqueNames } from './common.mjs';
+
+// ============================================
+// Tokenizer
+// ============================================
+
+const IDENTIFIER = /[\w$\u0080-\uFFFF]/;
+
+// After these keywords a `/` starts a regex, not a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+/**
+ * Split JS/TS source into tokens with line numbers
+ *
+ * Comments are returned separately so leading doc comments can be
+ * attached to the declaration below them. Unterminated strings and
+ * regexes stop at the end of their line.
+ *
+ * @returns {{ tokens: Array<{ type, value, line, endLine }>, comments: Array<{ line, endLine }> }}
+ */
+export function tokenizeJs(content) {
+  const tokens = [];
+  const comments = [];
+  const braces = []; // '{' or '${' (template expression)
+  const n = content.length;
+  let line = 1;
+  let i = 0;
+
+  // Shebang
+  if (content.startsWith('#!')) {
+    while (i < n && content[i] !== '\n') i++;
+  }
+
+  const push = (type, value, startLine, extra) => {
+    tokens.push({ type, value, line: startLine, endLine: line, ...extra });
+  };
+
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'word') return REGEX_KEYWORDS.has(prev.value);
+    if (prev.type === 'punct') return ![')', ']', '}', '<'].includes(prev.value);
+    return false;
+  };
+
+  // Scan template text up to the closing backtick or the next `${` (returns true)
+  const readTemplate = () => {
+    while (i < n) {
+      const c = content[i];
+      if (c === '\\') {
+        if (content[i + 1] === '\n') line++;
+        i += 2;
+      } else if (c === '`') {
+        i++;
+        return false;
+      } else if (c === '$' && content[i + 1] === '{') {
+        braces.push('${');
+        i += 2;
+        return true;
+      } else {
+        if (c === '\n') line++;
+        i++;
+      }
+    }
+    return false;
+  };
+
+  while (i < n) {
+    const c = content[i];
+    const startLine = line;
+
+    if (c === '\n') {
+      line++;
+      i++;
+    } else if (c === ' ' || c === '\t' || c === '\r' || c === '\uFEFF') {
+      i++;
+    } else if (c === '/' && content[i + 1] === '/') {
+      while (i < n && content[i] !== '\n') i++;
+      comments.push({ line: startLine, endLine: startLine });
+    } else if (c === '/' && content[i + 1] === '*') {
+      i += 2;
+      while (i < n && !(content[i] === '*' && content[i + 1] === '/')) {
+        if (content[i] === '\n') line++;
+        i++;
+      }
+      i += 2;
+      comments.push({ line: startLine, endLine: line });
+    } else if (c === '"' || c === "'") {
+      i++;
+      while (i < n && content[i] !== c && content[i] !== '\n') {
+        if (content[i] === '\\') {
+          if (content[i + 1] === '\n') line++;
+          i++;
+        }
+        i++;
+      }
+      if (content[i] === c) i++;
+      push('string', c, startLine);
+    } else if (c === '`') {
+      i++;
+      push('template', '`', startLine, { opens: readTemplate() });
+    } else if (c === '}' && braces[braces.length - 1] === '${') {
+      // End of a template expression: continue the template text
+      braces.pop();
+      i++;
+      push('template', '`', startLine, { closes: true, opens: readTemplate() });
+    } else if (c === '/' && regexAllowed()) {
+      let inClass = false;
+      i++;
+      while (i < n && content[i] !== '\n') {
+        if (content[i] === '\\') {
+          i += 2;
+          continue;
+        }
+        if (content[i] === '[') inClass = true;
+        else if (content[i] === ']') inClass = false;
+        else if (content[i] === '/' && !inClass) break;
+        i++;
+      }
+      if (content[i] === '/') i++;
+      while (i < n && /[a-z]/i.test(content[i])) i++;
+      push('regex', '/', startLine);
+    } else if (IDENTIFIER.test(c)) {
+      let value = '';
+      while (i < n && IDENTIFIER.test(content[i])) value += content[i++];
+      push('word', value, startLine);
+    } else {
+      if (c === '{') braces.push('{');
+      else if (c === '}') braces.pop();
+      i++;
+      push('punct', c, startLine);
+    }
+  }
+
+  return { tokens, comments };
+}
+
+// ============================================
+// Statements
+// ============================================
+
+// Tokens that end a line without ending the statement
+const NON_TERMINAL_WORDS = new Set([
+  'export', 'default', 'declare', 'abstract', 'async', 'const', 'let', 'var',
+  'function', 'class', 'interface', 'enum', 'namespace', 'new', 'typeof',
+  'keyof', 'import', 'extends', 'implements', 'readonly',
+]);
+
+// Tokens that start a line continuing the previous statement
+const CONTINUATION_WORDS = new Set([
+  'else', 'catch', 'finally', 'extends', 'implements', 'as', 'satisfies',
+  'instanceof', 'in', 'of', 'from',
+]);
+const CONTINUATION_PUNCT = new Set([
+  '.', ',', '?', ':', '=', '+', '-', '*', '/', '%', '&', '|', '^', '<', '>', '!', '{',
+]);
+
+function endsStatement(token) {
+  if (token.type === 'word') return !NON_TERMINAL_WORDS.has(token.value);
+  if (token.type === 'punct') return [')', ']', '}'].includes(token.value);
+  if (token.type === 'template') return !token.opens;
+  return true;
+}
+
+function continuesStatement(prev, token) {
+  if (token.type === 'word') return CONTINUATION_WORDS.has(token.value);
+  if (token.type === 'template') return prev.value !== '}';
+  if (token.type !== 'punct') return false;
+  if (token.value === '(' || token.value === '[') return prev.value !== '}';
+  return CONTINUATION_PUNCT.has(token.value);
+}
+
+/**
+ * Group tokens into top-level statements (explicit `;` or ASI at a newline)
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = current[current.length - 1];
+
+    if (prev && depth === 0 && token.line > prev.endLine
+      && endsStatement(prev) && !continuesStatement(prev, token)) {
+      statements.push(current);
+      current = [];
+    }
+
+    current.push(token);
+
+    // Template expressions (`${ ... }`) nest like brackets
+    if (token.closes) depth = Math.max(0, depth - 1);
+    if (token.opens) depth++;
+
+    if (token.type === 'punct') {
+      if ('{(['.includes(token.value)) depth++;
+      else if ('})]'.includes(token.value)) depth = Math.max(0, depth - 1);
+      else if (token.value === ';' && depth === 0) {
+        statements.push(current);
+        current = [];
+      }
+    }
+  }
+
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+// ============================================
+// Declarations
+// ============================================
+
+const MODIFIERS = new Set(['export', 'declare', 'async', 'abstract', 'default']);
+const VARIABLE_KINDS = new Set(['const', 'let', 'var']);
+const NAMED_KINDS = new Set(['class', 'interface', 'enum', 'namespace', 'module']);
+
+/**
+ * Classify a statement: `{ kind, name }`, `{ kind: 'imports' }` or null
+ */
+function classify(statement) {
+  let i = 0;
+  let exported = false;
+  let isDefault = false;
+  const at = (k) => statement[k];
+  const word = (k) => at(k)?.type === 'word' ? at(k).value : null;
+
+  while (MODIFIERS.has(word(i))) {
+    if (word(i) === 'export') exported = true;
+    if (word(i) === 'default') isDefault = true;
+    i++;
+  }
+
+  const keyword = word(i);
+  const nameAfter = (k) => word(k) || (at(k)?.type === 'string' ? 'module' : null);
+
+  if (keyword === 'import' && at(i + 1)?.value !== '(' && at(i + 1)?.value !== '.') {
+    return { kind: 'imports' };
+  }
+  const exportList = word(1) === 'type' ? 2 : 1;
+  if (word(0) === 'export' && ['{', '*'].includes(at(exportList)?.value)) {
+    return { kind: 'exports' };
+  }
+  if (keyword === 'function') {
+    const k = at(i + 1)?.value === '*' ? i + 2 : i + 1;
+    return { kind: 'function', name: word(k) || 'default' };
+  }
+  if (NAMED_KINDS.has(keyword)) {
+    const kind = keyword === 'module' ? 'namespace' : keyword;
+    const name = keyword === 'class' && word(i + 1) === 'extends' ? 'default' : nameAfter(i + 1);
+    return { kind, name: name || 'default' };
+  }
+  if (keyword === 'type' && word(i + 1) && ['=', '<'].includes(at(i + 2)?.value)) {
+    return { kind: 'type', name: word(i + 1) };
+  }
+  if (keyword === 'const' && word(i + 1) === 'enum') {
+    return { kind: 'enum', name: word(i + 2) };
+  }
+  if (VARIABLE_KINDS.has(keyword) && word(i + 1)) {
+    // Exported bindings, plus module-private functions and classes
+    const initializer = statement.slice(i + 2);
+    const isCallable = initializer.some(t => t.value === 'function' || t.value === 'class')
+      || initializer.some((t, k) => t.value === '=' && initializer[k + 1]?.value === '>');
+    if (exported || isCallable) return { kind: keyword, name: word(i + 1) };
+    return null;
+  }
+  if (isDefault || (word(0) === 'export' && at(1)?.value === '=')) {
+    return { kind: 'default', name: null };
+  }
+  return null;
+}
+
+// Words before a member name; each is the name itself when nothing follows it
+const MEMBER_MODIFIERS = new Set([
+  'static', 'public', 'private', 'protected', 'readonly', 'async', 'abstract',
+  'override', 'declare', 'accessor', 'get', 'set',
+]);
+
+/**
+ * Tokens between the braces of the class body that ends the statement
+ */
+function classBody(statement) {
+  let close = statement.length - 1;
+  while (close >= 0 && statement[close].value !== '}') close--;
+
+  let depth = 0;
+  for (let k = close; k >= 0; k--) {
+    const token = statement[k];
+    if (token.type !== 'punct') continue;
+    if ('})]'.includes(token.value)) depth++;
+    else if ('{(['.includes(token.value) && --depth === 0) {
+      return token.value === '{' ? statement.slice(k + 1, close) : [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Name of a method, getter, setter or function-valued field; null for the rest
+ */
+function memberName(member) {
+  let i = 0;
+  const at = (k) => member[k];
+  const word = (k) => at(k)?.type === 'word' ? at(k).value : null;
+
+  while (MEMBER_MODIFIERS.has(word(i)) && (at(i + 1)?.type === 'word' || ['*', '#'].includes(at(i + 1)?.value))) {
+    i++;
+  }
+  if (at(i)?.value === '*') i++;
+  const prefix = at(i)?.value === '#' ? '#' : '';
+  if (prefix) i++;
+
+  const name = word(i);
+  if (!name) return null;
+
+  // Optional `?` / `!`, then a parameter list, type parameters or an initializer
+  let k = i + 1;
+  if (['?', '!'].includes(at(k)?.value)) k++;
+  if (['(', '<'].includes(at(k)?.value)) return prefix + name;
+
+  const initializer = member.slice(k);
+  const isCallable = initializer.some(t => t.value === 'function')
+    || initializer.some((t, n) => t.value === '=' && initializer[n + 1]?.value === '>');
+  return isCallable ? prefix + name : null;
+}
+
+/**
+ * One nested section per member of a class
+ */
+function scanMembers(statement, parent, comments, codeLines) {
+  const sections = [];
+  let pending = null;
+
+  for (const member of splitStatements(classBody(statement))) {
+    if (member[0].value === '@' && member[member.length - 1].value !== '}') {
+      pending = pending || member;
+      continue;
+    }
+
+    const first = pending ? pending[0] : member[0];
+    pending = null;
+
+    const name = memberName(member);
+    if (!name) continue;
+
+    const end = member[member.length - 1].endLine;
+    const last = sections[sections.length - 1];
+
+    // Overload signatures collapse into the implementation
+    if (last && last.name === `${parent}/${name}`) {
+      last.end = end;
+      continue;
+    }
+    sections.push({ name: `${parent}/${name}`, line: leadingCommentLine(comments, first.line, codeLines), end, depth: 1, desc: '' });
+  }
+
+  return sections;
+}
+
+/**
+ * Find one section per top-level declaration
+ *
+ * @param {string} content - JS or TS source
+ * @param {object} [options]
+ * @param {boolean} [options.members] - Also list class members (methods, accessors, arrow-function fields)
+ * @returns {Array<{ name: string, line: number, end: number, depth: number, desc: string }>}
+ */
+export function scanJsSections(content, options = {}) {
+  const { tokens, comments } = tokenizeJs(content);
+  const codeLines = new Set(tokens.map(t => t.endLine));
+  const sections = [];
+  let pending = null; // decorators waiting for their class
+
+  for (const statement of splitStatements(tokens)) {
+    if (statement[0].value === '@' && !statement.some(t => t.value === 'class')) {
+      pending = pending || statement;
+      continue;
+    }
+
+    const first = pending ? pending[0] : statement[0];
+    pending = null;
+
+    const declaration = classify(statement);
+    if (!declaration) continue;
+
+    const name = declaration.name === undefined
+      ? declaration.kind
+      : `${declaration.kind}${declaration.name ? `/${declaration.name}` : ''}`;
+    const line = leadingCommentLine(comments, first.line, codeLines);
+    const end = statement[statement.length - 1].endLine;
+    const last = sections[sections.length - 1];
+
+    // Import blocks, re-export blocks and overloads collapse into one section
+    if (last && last.name === name) {
+      last.end = end;
+      continue;
+    }
+    sections.push({ name, line, end, depth: 0, desc: '' });
+
+    if (options.members && declaration.kind === 'class') {
+      sections.push(...scanMembers(statement, name, comments, codeLines));
+    }
+  }
+
+  return uniqueNames(sections);
+}
@@ -0,0 +1,162 @@
+/**
+ * Structural JSON / JSONC / JSON5 scanner
+ *
+ * Maps object keys to the exact line range of their values. Tolerates
+ * comments, trailing commas, single-quoted strings and unquoted keys.
+ *
+ * @module @physcode/ai-index/scanners/json
+ */
+
+// ============================================
+// Tokenizer
+// ============================================
+
+const PUNCTUATION = new Set(['{', '}', '[', ']', ':', ',']);
+
+/**
+ * Split JSON-ish text into tokens with line numbers, skipping comments
+ */
+export function tokenizeJson(content) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < content.length) {
+    const c = content[i];
+
+    if (c === '\n') {
+      line++;
+      i++;
+    } else if (c === ' ' || c === '\t' || c === '\r' || c === '\uFEFF') {
+      i++;
+    } else if (c === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (c === '/' && content[i + 1] === '*') {
+      i += 2;
+      while (i < content.length && !(content[i] === '*' && content[i + 1] === '/')) {
+        if (content[i] === '\n') line++;
+        i++;
+      }
+      i += 2;
+    } else if (PUNCTUATION.has(c)) {
+      tokens.push({ type: c, line });
+      i++;
+    } else if (c === '"' || c === "'") {
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < content.length && content[i] !== c) {
+        if (content[i] === '\\') {
+          value += content[i + 1] ?? '';
+          if (content[i + 1] === '\n') line++;
+          i += 2;
+          continue;
+        }
+        if (content[i] === '\n') line++;
+        value += content[i++];
+      }
+      i++;
+      tokens.push({ type: 'string', value, line: startLine, endLine: line });
+    } else {
+      // Numbers, literals and JSON5 unquoted keys
+      let value = '';
+      while (i < content.length && !/[\s{}[\]:,"'/]/.test(content[i])) {
+        value += content[i++];
+      }
+      if (!value) {
+        i++;
+        continue;
+      }
+      tokens.push({ type: 'word', value, line });
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================
+// Sections
+// ============================================
+
+/**
+ * Find sections from object keys
+ *
+ * @param {string} content - JSON, JSONC or JSON5 text
+ * @param {object} [options]
+ * @param {number} [options.depth=1] - Key levels to index (2 adds `parent/child` sections)
+ * @returns {Array<{ name: string, line: number, end: number, depth: number, desc: string }>}
+ */
+export function scanJsonSections(content, options = {}) {
+  const maxDepth = Math.max(1, options.depth || 1);
+  const tokens = tokenizeJson(content);
+  const sections = [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  // Returns the last line of the value
+  function parseValue(depth, path) {
+    const token = next();
+    if (!token) throw new SyntaxError('Unexpected end of input');
+
+    if (token.type === '{') return parseObject(depth, path);
+    if (token.type === '[') return parseArray(depth, path);
+    if (token.type === 'string') return token.endLine;
+    if (token.type === 'word') return token.line;
+    throw new SyntaxError(`Unexpected "${token.type}" on line ${token.line}`);
+  }
+
+  function parseObject(depth, path) {
+    while (peek() && peek().type !== '}') {
+      const key = next();
+      if (key.type !== 'string' && key.type !== 'word') {
+        throw new SyntaxError(`Expected key on line ${key.line}`);
+      }
+      if (next()?.type !== ':') {
+        throw new SyntaxError(`Expected ":" after key on line ${key.line}`);
+      }
+
+      const name = path ? `${path}/${key.value}` : key.value;
+      const section = depth < maxDepth ? { name, line: key.line, end: key.line, depth, desc: '' } : null;
+      if (section) sections.push(section);
+
+      const end = parseValue(depth + 1, name);
+      if (section) section.end = end;
+
+      if (peek()?.type === ',') next();
+    }
+
+    const close = next();
+    if (!close) throw new SyntaxError('Unterminated object');
+    return close.line;
+  }
+
+  function parseArray(depth, path) {
+    let index = 0;
+    while (peek() && peek().type !== ']') {
+      const first = peek();
+      // Items of a top-level array (fixtures, records) become sections too
+      const section = depth === 0 ? { name: `[${index}]`, line: first.line, end: first.line, depth, desc: '' } : null;
+      if (section) sections.push(section);
+
+      const end = parseValue(depth + 1, section ? section.name : path);
+      if (section) section.end = end;
+
+      index++;
+      if (peek()?.type === ',') next();
+    }
+
+    const close = next();
+    if (!close) throw new SyntaxError('Unterminated array');
+    return close.line;
+  }
+
+  try {
+    if (tokens.length > 0) parseValue(0, '');
+  } catch {
+    // Malformed input: keep the sections found so far
+  }
+
+  return sections;
+}
@@ -0,0 +1,195 @@
+/**
+ * Python block scanner
+ *
+ * Finds the real extent of each top-level class and function from
+ * indentation, following decorators, brackets, backslash continuations
+ * and (triple-quoted) strings. Large classes also get one subsection per
+ * method.
+ *
+ * @module @physcode/ai-index/scanners/python
+ */
+
+import { uniqueNames } from './common.mjs';
+
+// Classes at least this long get `class/Name/method` subsections
+export const LARGE_CLASS_LINES = 150;
+
+// ============================================
+// Logical Lines
+// ============================================
+
+/**
+ * Join physical lines into logical lines (statements)
+ *
+ * Each logical line keeps the indentation of its first physical line and
+ * its code with strings and comments removed. Full-line comments are
+ * returned separately.
+ *
+ * @returns {{ statements: Array<{ line, endLine, indent, code }>, comments: Set<number> }}
+ */
+export function splitLogicalLines(content) {
+  const lines = content.split('\n');
+  const statements = [];
+  const comments = new Set();
+  let current = null;
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const lineNum = i + 1;
+
+    if (!current) {
+      const trimmed = raw.trim();
+      if (!trimmed) continue;
+      if (trimmed.startsWith('#')) {
+        comments.add(lineNum);
+        continue;
+      }
+      current = { line: lineNum, endLine: lineNum, indent: raw.length - raw.trimStart().length, code: '' };
+    }
+
+    let code = '';
+    let j = 0;
+    while (j < raw.length) {
+      const c = raw[j];
+      if (quote) {
+        if (c === '\\') {
+          j += 2;
+        } else if (raw.startsWith(quote, j)) {
+          j += quote.length;
+          quote = null;
+          code += '""';
+        } else {
+          j++;
+        }
+        continue;
+      }
+      if (c === '#') break;
+      if (c === '"' || c === "'") {
+        quote = raw.startsWith(c.repeat(3), j) ? c.repeat(3) : c;
+        j += quote.length;
+        continue;
+      }
+      if ('([{'.includes(c)) depth++;
+      else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+      code += c;
+      j++;
+    }
+
+    const backslash = !quote && code.trimEnd().endsWith('\\');
+    // Unterminated single-quoted string: stop at the end of the line
+    if (quote && quote.length === 1 && !raw.endsWith('\\')) quote = null;
+
+    current.code += code.trim() + ' ';
+    if (!quote && depth === 0 && !backslash) {
+      current.endLine = lineNum;
+      current.code = current.code.trim();
+      statements.push(current);
+      current = null;
+    }
+  }
+
+  if (current) {
+    current.endLine = lines.length;
+    current.code = current.code.trim();
+    statements.push(current);
+  }
+
+  return { statements, comments };
+}
+
+// ============================================
+// Sections
+// ============================================
+
+const DEFINITION = /^(?:async\s+)?(def|class)\s+(\w+)/;
+const IMPORT = /^(?:import|from)\s+\S/;
+const MAIN_GUARD = /^if\s+__name__\s*==\s*""\s*:/;
+
+/**
+ * Last line of the block opened by statements[index]
+ */
+function blockEnd(statements, index) {
+  const indent = statements[index].indent;
+  let end = statements[index].endLine;
+  for (let k = index + 1; k < statements.length && statements[k].indent > indent; k++) {
+    end = statements[k].endLine;
+  }
+  return end;
+}
+
+/**
+ * First line of the comments directly above `line`
+ */
+function leadingCommentLine(comments, line) {
+  while (comments.has(line - 1)) line--;
+  return line;
+}
+
+/**
+ * Emit one section per definition at `indent` within statements[from, to)
+ */
+function scanBlock(statements, comments, from, to, indent, prefix, depth, sections) {
+  let pending = null; // first decorator line
+
+  for (let k = from; k < to; k++) {
+    const statement = statements[k];
+    if (statement.indent !== indent) continue;
+
+    if (statement.code.startsWith('@')) {
+      pending = pending || statement.line;
+      continue;
+    }
+
+    const start = leadingCommentLine(comments, pending || statement.line);
+    pending = null;
+
+    const match = statement.code.match(DEFINITION);
+    let name = null;
+    if (match) {
+      name = depth === 0 ? `${match[1]}/${match[2]}` : `${prefix}${match[2]}`;
+    } else if (depth === 0 && IMPORT.test(statement.code)) {
+      name = 'imports';
+    } else if (depth === 0 && MAIN_GUARD.test(statement.code)) {
+      name = 'main';
+    }
+    if (!name) continue;
+
+    const end = blockEnd(statements, k);
+    const last = sections[sections.length - 1];
+
+    // Consecutive imports and @overload stubs collapse into one section
+    if (last && last.name === name && last.depth === depth) {
+      last.end = end;
+      continue;
+    }
+
+    const section = { name, line: start, end, depth, desc: '' };
+    sections.push(section);
+
+    if (match?.[1] === 'class' && depth === 0 && end - start + 1 >= LARGE_CLASS_LINES) {
+      let bodyEnd = k + 1;
+      while (bodyEnd < to && statements[bodyEnd].indent > indent) bodyEnd++;
+      const body = statements[k + 1];
+      if (body && body.indent > indent) {
+        scanBlock(statements, comments, k + 1, bodyEnd, body.indent, `${name}/`, depth + 1, sections);
+      }
+    }
+  }
+}
+
+/**
+ * Find one section per top-level class and function
+ *
+ * @param {string} content - Python source
+ * @returns {Array<{ name: string, line: number, end: number, depth: number, desc: string }>}
+ */
+export function scanPythonSections(content) {
+  const { statements, comments } = splitLogicalLines(content);
+  const sections = [];
+
+  scanBlock(statements, comments, 0, statements.length, 0, '', 0, sections);
+
+  return uniqueNames(sections);
+}
@@ -0,0 +1,152 @@
+/**
+ * AI-Index sidecar manifest
+ *
+ * Keeps indexes in one repo-level `.ai-index.json` instead of headers
+ * embedded in source files. Used for files that can't or shouldn't be
+ * modified: JSON, vendored and generated code, code owned by other teams.
+ *
+ * @module @physcode/ai-index/sidecar
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+export const MANIFEST_FILE = '.ai-index.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Short, stable content hash stored per file
+ */
+export function hashContent(content) {
+  return 'sha256:' + createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Find the nearest manifest walking up from `startDir`
+ *
+ * @param {(dir: string) => boolean} [within] - Stop at the first directory this rejects
+ */
+export function findManifest(startDir, within = () => true) {
+  let dir = resolve(startDir);
+  while (within(dir)) {
+    const candidate = join(dir, MANIFEST_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * Where a new manifest goes: the git root above `startDir`, or `startDir` itself
+ */
+export function defaultManifestPath(startDir) {
+  let dir = resolve(startDir);
+  while (true) {
+    if (existsSync(join(dir, '.git'))) return join(dir, MANIFEST_FILE);
+    const parent = dirname(dir);
+    if (parent === dir) return join(resolve(startDir), MANIFEST_FILE);
+    dir = parent;
+  }
+}
+
+export async function loadManifest(manifestPath, read = (path) => readFile(path, 'utf-8')) {
+  try {
+    const manifest = JSON.parse(await read(manifestPath));
+    if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.files)) {
+      throw new Error(`Unsupported manifest format: ${manifestPath}`);
+    }
+    return manifest;
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: MANIFEST_VERSION, files: [] };
+    throw error;
+  }
+}
+
+export function formatManifest(manifest) {
+  manifest.files.sort((a, b) => a.path.localeCompare(b.path));
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+export async function saveManifest(manifestPath, manifest) {
+  await writeFile(manifestPath, formatManifest(manifest));
+}
+
+/**
+ * Open the manifest that covers `startDir` (existing one, or a new one at the git root)
+ */
+export async function openSidecar(startDir = process.cwd()) {
+  const manifestPath = findManifest(startDir) || defaultManifestPath(startDir);
+  const root = dirname(manifestPath);
+  const manifest = await loadManifest(manifestPath);
+  let dirty = false;
+
+  const key = (filePath) => relative(root, resolve(filePath)).split(sep).join('/');
+
+  return {
+    path: manifestPath,
+    root,
+    manifest,
+
+    get(filePath) {
+      return manifest.files.find(f => f.path === key(filePath)) || null;
+    },
+
+    set(filePath, { content, sections }) {
+      const entry = {
+        path: key(filePath),
+        totalLines: content.split('\n').length,
+        hash: hashContent(content),
+        sections: sections.map(({ name, line, end, depth, desc }) => ({ name, line, end, depth: depth || 0, desc: desc || '' })),
+      };
+      const index = manifest.files.findIndex(f => f.path === entry.path);
+      if (index === -1) manifest.files.push(entry);
+      else manifest.files[index] = entry;
+      dirty = true;
+      return entry;
+    },
+
+    delete(filePath) {
+      const index = manifest.files.findIndex(f => f.path === key(filePath));
+      if (index === -1) return false;
+      manifest.files.splice(index, 1);
+      dirty = true;
+      return true;
+    },
+
+    // Manifest text as save() would write it
+    serialize() {
+      return formatManifest(manifest);
+    },
+
+    async save() {
+      if (dirty) {
+        await saveManifest(manifestPath, manifest);
+        dirty = false;
+      }
+    },
+  };
+}
+
+/**
+ * Look up the manifest entry for a file, if any manifest covers it
+ *
+ * @param {object} [options]
+ * @param {(dir: string) => boolean} [options.within] - Directories the search may look in
+ * @param {(path: string) => Promise<string>} [options.read] - Reads the manifest
+ * @returns {Promise<{ entry: object, fresh: boolean, manifestPath: string } | null>}
+ */
+export async function readSidecarEntry(filePath, content, options = {}) {
+  const manifestPath = findManifest(dirname(resolve(filePath)), options.within);
+  if (!manifestPath) return null;
+
+  const manifest = await loadManifest(manifestPath, options.read);
+  const path = relative(dirname(manifestPath), resolve(filePath)).split(sep).join('/');
+  const entry = manifest.files.find(f => f.path === path);
+  if (!entry) return null;
+
+  return { entry, fresh: entry.hash === hashContent(content), manifestPath };
+}
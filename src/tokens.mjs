@@ -0,0 +1,124 @@
+/**
+ * Token estimators for the Tokens column and the `@tokens` total
+ *
+ * An estimator is `{ name, count(text) }`. The default divides the character
+ * count by four, which is close enough for deciding whether a section fits a
+ * budget. For exact counts, load an offline BPE vocabulary in the tiktoken
+ * format (one base64-encoded token and its rank per line, e.g.
+ * `cl100k_base.tiktoken`).
+ *
+ * @module @physcode/ai-index/tokens
+ */
+
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+
+/**
+ * @typedef {object} TokenEstimator
+ * @property {string} name - Shown in messages (e.g. "chars/4", "cl100k_base")
+ * @property {(text: string) => number} count
+ */
+
+export const CHARS_PER_TOKEN = 4;
+
+/**
+ * Character heuristic: `ceil(length / charsPerToken)`
+ *
+ * @returns {TokenEstimator}
+ */
+export function createCharEstimator(charsPerToken = CHARS_PER_TOKEN) {
+  return {
+    name: `chars/${charsPerToken}`,
+    count: (text) => Math.ceil(text.length / charsPerToken),
+  };
+}
+
+export const DEFAULT_ESTIMATOR = createCharEstimator();
+
+// ============================================
+// BPE Vocabulary
+// ============================================
+
+// Pre-tokenizer of cl100k_base; BPE merges never cross these pieces
+const PIECES = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Pieces longer than this (minified code, base64 blobs) are estimated, not merged
+const MAX_PIECE_BYTES = 512;
+
+/**
+ * Parse a tiktoken vocabulary into byte string (latin1) → rank
+ */
+export function parseVocabulary(content, name = 'vocabulary') {
+  const ranks = new Map();
+  content.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    const match = line.trim().match(/^([A-Za-z0-9+/=]+)\s+(\d+)$/);
+    if (!match) {
+      throw new Error(`${name}:${i + 1}: expected "<base64 token> <rank>"`);
+    }
+    ranks.set(Buffer.from(match[1], 'base64').toString('latin1'), parseInt(match[2]));
+  });
+  if (ranks.size === 0) {
+    throw new Error(`${name}: no tokens found`);
+  }
+  return ranks;
+}
+
+/**
+ * Number of tokens byte-pair encoding gives for one piece
+ */
+function countPiece(bytes, ranks) {
+  if (ranks.has(bytes)) return 1;
+  if (bytes.length > MAX_PIECE_BYTES) return Math.ceil(bytes.length / CHARS_PER_TOKEN);
+
+  // Merge the adjacent pair with the lowest rank until no pair is a token
+  const parts = [...bytes];
+  while (parts.length > 1) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < bestRank) {
+        best = i;
+        bestRank = rank;
+      }
+    }
+    if (best === -1) break;
+    parts.splice(best, 2, parts[best] + parts[best + 1]);
+  }
+  return parts.length;
+}
+
+/**
+ * BPE estimator over a parsed vocabulary
+ *
+ * @returns {TokenEstimator}
+ */
+export function createBpeEstimator(ranks, name = 'bpe') {
+  return {
+    name,
+    count(text) {
+      let total = 0;
+      for (const [piece] of text.matchAll(PIECES)) {
+        total += countPiece(Buffer.from(piece, 'utf-8').toString('latin1'), ranks);
+      }
+      return total;
+    },
+  };
+}
+
+/**
+ * Load a `.tiktoken` vocabulary file as an estimator
+ *
+ * @returns {Promise<TokenEstimator>}
+ */
+export async function loadVocabularyEstimator(path) {
+  const name = basename(path).replace(/\.tiktoken$/, '');
+  let content;
+  try {
+    content = await readFile(path, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read token vocabulary ${path}: ${error.message}`);
+  }
+  return createBpeEstimator(parseVocabulary(content, path), name);
+}
@@ -0,0 +1,141 @@
+/**
+ * Watch files and report them once edits settle
+ *
+ * Directories are watched rather than files, so editors that save by
+ * writing a temp file and renaming it over the original keep being seen.
+ * Events are debounced per file; a file whose mtime is still moving, or that
+ * is missing for a moment during an atomic save, is retried later.
+ *
+ * @module @physcode/ai-index/watch
+ */
+
+import { watch } from 'fs';
+import { stat } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { collectFiles } from './files.mjs';
+
+// New or removed files are picked up by re-collecting the patterns
+const RESCAN_DELAY = 1000;
+
+/**
+ * Watch files matched by `patterns` and call `onChange` for each saved file
+ *
+ * @param {string[]} patterns - Files, directories and globs (as for collectFiles)
+ * @param {object} options
+ * @param {(file: string) => boolean|Promise<boolean>} [options.filter] - Same as for collectFiles
+ * @param {number} [options.debounce=300] - Quiet time (ms) before a file is handled
+ * @param {(file: string) => Promise<void>} options.onChange - Called at most once at a time per file
+ * @param {(error: Error, file?: string) => void} [options.onError]
+ * @returns {Promise<{ files: () => string[], close: () => void }>}
+ */
+export async function watchFiles(patterns, options) {
+  const debounce = options.debounce ?? 300;
+  const onError = options.onError || (() => {});
+
+  const files = new Map();      // absolute path → path as collected
+  const watchers = new Map();   // directory → FSWatcher
+  const timers = new Map();     // absolute path → pending timeout
+  const running = new Map();    // absolute path → true, or 'again' if it changed meanwhile
+  let rescanTimer = null;
+  let closed = false;
+
+  function watchDirectory(dir) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = watch(dir, (event, name) => {
+        if (!name) {
+          scheduleRescan();
+          return;
+        }
+        const abs = resolve(dir, name.toString());
+        if (files.has(abs)) {
+          schedule(abs);
+        } else {
+          scheduleRescan();
+        }
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  async function collect() {
+    const { files: found } = await collectFiles(patterns, { filter: options.filter });
+    const next = new Map(found.map(file => [resolve(file), file]));
+    const added = [...next.keys()].filter(abs => !files.has(abs));
+
+    files.clear();
+    next.forEach((file, abs) => files.set(abs, file));
+    for (const raw of patterns) {
+      // Watch directory arguments themselves, so files added later are noticed
+      const isDirectory = await stat(raw).then(s => s.isDirectory(), () => false);
+      if (isDirectory) watchDirectory(resolve(raw));
+    }
+    for (const abs of next.keys()) watchDirectory(dirname(abs));
+    return added;
+  }
+
+  function scheduleRescan() {
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(async () => {
+      try {
+        // Files that appeared since the last scan may already carry an index
+        for (const abs of await collect()) schedule(abs);
+      } catch (error) {
+        onError(error);
+      }
+    }, RESCAN_DELAY);
+  }
+
+  function schedule(abs, delay = debounce) {
+    if (closed) return;
+    clearTimeout(timers.get(abs));
+    timers.set(abs, setTimeout(() => settle(abs), delay));
+  }
+
+  async function settle(abs) {
+    timers.delete(abs);
+    if (running.has(abs)) {
+      running.set(abs, 'again');
+      return;
+    }
+
+    // Missing (mid atomic save) or modified within the debounce window: wait
+    const fileStat = await stat(abs).catch(() => null);
+    if (!fileStat) return;
+    const age = Date.now() - fileStat.mtimeMs;
+    if (age < debounce) {
+      schedule(abs, debounce - age);
+      return;
+    }
+
+    running.set(abs, true);
+    try {
+      await options.onChange(files.get(abs) ?? abs);
+    } catch (error) {
+      onError(error, files.get(abs) ?? abs);
+    } finally {
+      const again = running.get(abs) === 'again';
+      running.delete(abs);
+      if (again) schedule(abs);
+    }
+  }
+
+  await collect();
+
+  return {
+    files: () => [...files.values()],
+    close() {
+      closed = true;
+      clearTimeout(rescanTimer);
+      timers.forEach(timer => clearTimeout(timer));
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import { chmod, mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { installHook } from '../src/git.mjs';
+import { CLI, fixture, repository, run, read } from './helpers.mjs';
+
+// Two declarations and no region markers: the index comes from the scanner
+const SOURCE = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+const IMPORTS = Array.from({ length: 6 }, (_, i) => `import { m${i} } from 'm${i}';\n`).join('') + '\n';
+
+/**
+ * Line of `function/one` in the header, and the line it is actually on
+ */
+async function rowOf(dir, path) {
+  const content = await read(dir, path);
+  const row = content.match(/\| function\/one +\| +(\d+) \|/);
+  return { recorded: Number(row?.[1]), actual: content.split('\n').indexOf('export function one() {') + 1 };
+}
+
+test('the pre-commit hook re-syncs a staged file without markers', async (t) => {
+  const dir = await repository(t, { '.gitignore': 'node_modules/\n', 'plain.ts': SOURCE });
+  assert.equal(run(dir, ['generate', 'plain.ts']).status, 0);
+
+  // The hook prefers the project's own node_modules/.bin/ai-index
+  await mkdir(join(dir, 'node_modules', '.bin'), { recursive: true });
+  const bin = join(dir, 'node_modules', '.bin', 'ai-index');
+  await writeFile(bin, `#!/bin/sh\nexec "${process.execPath}" "${CLI}" "$@" --no-config\n`);
+  await chmod(bin, 0o755);
+  await installHook(dir);
+
+  await writeFile(join(dir, 'plain.ts'), (await read(dir, 'plain.ts')).replace('export function one', `${IMPORTS}export function one`));
+  const before = await rowOf(dir, 'plain.ts');
+  assert.notEqual(before.recorded, before.actual);
+
+  const git = (...args) => spawnSync('git', args, { cwd: dir, encoding: 'utf-8', timeout: 30000 });
+  git('add', 'plain.ts');
+  const commit = git('commit', '-q', '-m', 'imports');
+  assert.equal(commit.status, 0, commit.stderr);
+
+  const after = await rowOf(dir, 'plain.ts');
+  assert.equal(after.recorded, after.actual);
+  assert.equal(git('show', 'HEAD:plain.ts').stdout, await read(dir, 'plain.ts'));
+  assert.equal(git('status', '--porcelain', 'plain.ts').stdout, '');
+});
+
+test('watch re-syncs a file without markers after it is saved', async (t) => {
+  const dir = await fixture(t, { 'plain.ts': SOURCE });
+  assert.equal(run(dir, ['generate', 'plain.ts']).status, 0);
+
+  const watcher = spawn(process.execPath, [CLI, 'watch', 'plain.ts', '--debounce=50', '--no-config'], { cwd: dir });
+  t.after(() => watcher.kill());
+  let output = '';
+  watcher.stdout.on('data', (chunk) => { output += chunk; });
+
+  for (let i = 0; i < 100 && !output.includes('Watching'); i++) await sleep(50);
+  assert.match(output, /Watching 1 file/);
+
+  await writeFile(join(dir, 'plain.ts'), (await read(dir, 'plain.ts')).replace('export function one', `${IMPORTS}export function one`));
+  let row = await rowOf(dir, 'plain.ts');
+  for (let i = 0; i < 100 && row.recorded !== row.actual; i++) {
+    await sleep(50);
+    row = await rowOf(dir, 'plain.ts');
+  }
+
+  assert.equal(row.recorded, row.actual);
+  assert.match(output, /plain\.ts: synced \(2 moved, 1 added\)/);
+});
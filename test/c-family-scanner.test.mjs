@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  scanRustSections, scanGoSections, scanCSharpSections, scanJavaSections, LARGE_BLOCK_LINES,
+} from '../src/scanners/c-family.mjs';
+
+const names = (sections) => sections.map(s => `${s.name}:${s.line}-${s.end}`);
+
+test('Rust: items with doc comments and attributes, raw strings and chars skipped', () => {
+  const source = [
+    'use std::io;',
+    'use std::fmt;',
+    '',
+    '/// A token',
+    '#[derive(Debug)]',
+    'pub struct Token {',
+    '    text: String,',
+    '}',
+    '',
+    'impl Token {',
+    '    pub fn new() -> Self {',
+    '        let s = r#"}"#;',
+    '        Token { text: s.into() }',
+    '    }',
+    '}',
+    '',
+    'fn main() {',
+    "    let c = '}';",
+    '}',
+  ].join('\n');
+
+  assert.deepEqual(names(scanRustSections(source)), [
+    'imports:1-2',
+    'struct/Token:4-8',
+    'impl/Token:10-15',
+    'fn/main:17-19',
+  ]);
+});
+
+test('Go: methods are named by receiver, backtick strings skipped', () => {
+  const source = [
+    'package main',
+    '',
+    'import (',
+    '\t"fmt"',
+    ')',
+    '',
+    'type Server struct {',
+    '\taddr string',
+    '}',
+    '',
+    '// Start runs it',
+    'func (s *Server) Start() error {',
+    '\tfmt.Println(`}`)',
+    '\treturn nil',
+    '}',
+    '',
+    'func main() {}',
+  ].join('\n');
+
+  assert.deepEqual(names(scanGoSections(source)), [
+    'imports:3-5',
+    'struct/Server:7-9',
+    'func/(*Server).Start:11-15',
+    'func/main:17-17',
+  ]);
+});
+
+test('C#: block namespaces are looked through, verbatim strings skipped', () => {
+  const source = [
+    'using System;',
+    '',
+    'namespace App',
+    '{',
+    '    public class Service',
+    '    {',
+    '        public void Run() { var s = @"}"; }',
+    '    }',
+    '',
+    '    public interface IRepo { }',
+    '}',
+  ].join('\n');
+
+  assert.deepEqual(names(scanCSharpSections(source)), [
+    'imports:1-1',
+    'class/Service:5-8',
+    'interface/IRepo:10-10',
+  ]);
+});
+
+test('Java: annotations belong to their class', () => {
+  const source = 'package app;\n\nimport java.util.List;\n\n@Entity\npublic class User {\n    String name = "}";\n}\n\nenum Role { ADMIN }\n';
+
+  assert.deepEqual(names(scanJavaSections(source)), [
+    'imports:3-3',
+    'class/User:5-8',
+    'enum/Role:10-10',
+  ]);
+});
+
+test(`containers of ${LARGE_BLOCK_LINES}+ lines list their members`, () => {
+  const methods = Array.from({ length: 50 }, (_, i) => `    fn m${i}(&self) {\n        todo!()\n    }`);
+  const sections = scanRustSections(['impl Parser {', ...methods, '}'].join('\n'));
+
+  assert.deepEqual(sections.slice(0, 3).map(s => [s.name, s.line, s.end, s.depth]), [
+    ['impl/Parser', 1, 152, 0],
+    ['impl/Parser/m0', 2, 4, 1],
+    ['impl/Parser/m1', 5, 7, 1],
+  ]);
+  assert.equal(sections.length, 51);
+});
+
+test('repeated names get a numeric suffix', () => {
+  const source = 'fn a() {}\n\nstruct B;\n\nfn a() {}\n';
+
+  assert.deepEqual(scanRustSections(source).map(s => s.name), ['fn/a', 'struct/B', 'fn/a (2)']);
+});
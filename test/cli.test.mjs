@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { fixture, run, read } from './helpers.mjs';
+
+const STORE_TS = `import { create } from 'zustand';
+
+//#region store/nodes
+export function addNode(id: string) {
+  return { id };
+}
+//#endregion
+
+//#region store/edges
+export function addEdge(from: string, to: string) {
+  return { from, to };
+}
+//#endregion
+`;
+
+const UTILS_PY = `import os
+
+
+def helper():
+    return os.getcwd()
+
+
+class Store:
+    def add(self, item):
+        return item
+`;
+
+test('generate twice gives identical output', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS, 'utils.py': UTILS_PY });
+
+  assert.equal(run(dir, ['generate', '.']).status, 0);
+  const first = [await read(dir, 'store.ts'), await read(dir, 'utils.py')];
+  assert.match(first[0], /@ai-index/);
+  assert.match(first[1], /@ai-index/);
+
+  assert.equal(run(dir, ['generate', '.']).status, 0);
+  assert.deepEqual([await read(dir, 'store.ts'), await read(dir, 'utils.py')], first);
+});
+
+test('verify passes right after generate', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS, 'utils.py': UTILS_PY });
+
+  assert.equal(run(dir, ['generate', '.']).status, 0);
+  const result = run(dir, ['verify', '.', '--strict']);
+  assert.equal(result.status, 0, result.stdout);
+});
+
+test('verify fails on a file without an index', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  const result = run(dir, ['verify', 'store.ts']);
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /AI001/);
+});
+
+test('--check exits 1 when files would change and writes nothing', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  assert.equal(run(dir, ['generate', 'store.ts', '--check']).status, 1);
+  assert.equal(await read(dir, 'store.ts'), STORE_TS);
+
+  assert.equal(run(dir, ['generate', 'store.ts']).status, 0);
+  assert.equal(run(dir, ['generate', 'store.ts', '--check']).status, 0);
+  assert.equal(run(dir, ['sync', 'store.ts', '--check']).status, 0);
+});
+
+test('--dry-run prints a patch, exits 0 and writes nothing', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  const result = run(dir, ['generate', 'store.ts', '--dry-run']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /^--- a\/store\.ts\n\+\+\+ b\/store\.ts\n@@ /m);
+  assert.equal(await read(dir, 'store.ts'), STORE_TS);
+});
+
+test('bad options exit 2', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  assert.equal(run(dir, ['verify', 'store.ts', '--reporter=nope']).status, 2);
+});
+
+test('unknown command exits 2 and leaves files alone', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  const result = run(dir, ['verfy', 'store.ts']);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /Unknown command "verfy"/);
+  assert.equal(await read(dir, 'store.ts'), STORE_TS);
+});
+
+test('v2 invocations still map to commands', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+
+  assert.equal(run(dir, ['store.ts']).status, 0);
+  assert.match(await read(dir, 'store.ts'), /@ai-index/);
+  assert.equal(run(dir, ['store.ts', '--verify']).status, 0);
+  assert.equal(run(dir, ['store.ts', '--remove']).status, 0);
+  assert.equal(await read(dir, 'store.ts'), STORE_TS);
+});
+
+test('sync --sidecar re-detects sections of files without markers', async (t) => {
+  const json = '{\n  "name": "app",\n  "scripts": {\n    "build": "tsc"\n  }\n}\n';
+  const dir = await fixture(t, { 'package.json': json });
+
+  assert.equal(run(dir, ['generate', 'package.json', '--sidecar', '--depth=2']).status, 0);
+  const before = JSON.parse(run(dir, ['read', 'package.json', '--json']).stdout);
+  assert.equal(before.source, 'sidecar');
+
+  await writeFile(join(dir, 'package.json'), json.replace('{\n', '{\n  "private": true,\n  "version": "1.0.0",\n'));
+  assert.equal(run(dir, ['sync', 'package.json', '--sidecar']).status, 0);
+
+  const after = JSON.parse(run(dir, ['read', 'package.json', '--json']).stdout);
+  assert.equal(after.source, 'sidecar');
+  const scripts = after.sections.find(s => s.name === 'scripts');
+  assert.equal(scripts.line, before.sections.find(s => s.name === 'scripts').line + 2);
+  assert.ok(after.sections.some(s => s.name === 'scripts/build'));
+  assert.equal(run(dir, ['verify', 'package.json', '--sidecar']).status, 0);
+});
+
+test('changed and verify follow moved sections in files without markers', async (t) => {
+  const source = "import { a } from 'a';\n\nexport function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n";
+  const dir = await fixture(t, { 'util.ts': source });
+
+  assert.equal(run(dir, ['generate', 'util.ts', '--hash']).status, 0);
+  const indexed = await read(dir, 'util.ts');
+  await writeFile(join(dir, 'util.ts'), indexed.replace("import { a } from 'a';", "import { a } from 'a';\nimport { b } from 'b';"));
+
+  // Only the imports changed; the functions below them just moved
+  const moved = JSON.parse(run(dir, ['changed', 'util.ts', '--json']).stdout)[0].sections;
+  assert.deepEqual(moved.map(s => s.name), ['imports']);
+  const verify = run(dir, ['verify', 'util.ts']);
+  assert.doesNotMatch(verify.stdout, /"function\/(one|two)": content changed/);
+
+  assert.equal(run(dir, ['generate', 'util.ts']).status, 0);
+
+  await writeFile(join(dir, 'util.ts'), (await read(dir, 'util.ts')).replace('return 2;', 'return 3;'));
+  const changed = JSON.parse(run(dir, ['changed', 'util.ts', '--json']).stdout)[0].sections;
+  const lines = (await read(dir, 'util.ts')).split('\n');
+  assert.deepEqual(changed.map(s => [s.name, s.status]), [['function/two', 'changed']]);
+  assert.equal(lines[changed[0].line - 1], 'export function two() {');
+});
+
+test('verify flags and sync moves sections in files without markers', async (t) => {
+  const source = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+  const dir = await fixture(t, { 'plain.ts': source });
+
+  assert.equal(run(dir, ['generate', 'plain.ts']).status, 0);
+  const imports = Array.from({ length: 6 }, (_, i) => `import { m${i} } from 'm${i}';\n`).join('');
+  await writeFile(join(dir, 'plain.ts'), (await read(dir, 'plain.ts')).replace('export function one', `${imports}\nexport function one`));
+
+  const stale = run(dir, ['verify', 'plain.ts', '--strict']);
+  assert.equal(stale.status, 1);
+  assert.match(stale.stdout, /AI004: Section "function\/one": index says line \d+, actual is \d+/);
+  assert.match(stale.stdout, /AI008: File has \d+ lines, index was written for \d+/);
+
+  const synced = run(dir, ['sync', 'plain.ts']);
+  assert.equal(synced.status, 0);
+  assert.match(synced.stdout, /Synced \(2 moved, 1 added\)/);
+
+  const lines = (await read(dir, 'plain.ts')).split('\n');
+  const row = JSON.parse(run(dir, ['read', 'plain.ts', '--json']).stdout).sections.find(s => s.name === 'function/one');
+  assert.equal(lines[row.line - 1], 'export function one() {');
+  assert.equal(run(dir, ['verify', 'plain.ts', '--strict']).status, 0);
+});
+
+test('sync follows renamed regions and drops rows whose region is gone', async (t) => {
+  const dir = await fixture(t, { 'store.ts': STORE_TS });
+  const rows = () => JSON.parse(run(dir, ['read', 'store.ts', '--json']).stdout).sections.map(s => [s.name, s.desc]);
+
+  assert.equal(run(dir, ['generate', 'store.ts']).status, 0);
+  const indexed = (await read(dir, 'store.ts')).replace(/(\| store\/edges +\|[^\n]*\|) [^|\n]*\|$/m, '$1 Edge CRUD |');
+  await writeFile(join(dir, 'store.ts'), indexed.replace('#region store/edges', '#region store/links'));
+
+  const renamed = run(dir, ['verify', 'store.ts', '--strict']);
+  assert.equal(renamed.status, 1);
+  assert.match(renamed.stdout, /AI016: Section "store\/edges" in index but not in code/);
+
+  assert.match(run(dir, ['sync', 'store.ts']).stdout, /renamed: "store\/edges" → "store\/links"/);
+  assert.deepEqual(rows().map(([name]) => name), ['store/nodes', 'store/links']);
+  assert.deepEqual(rows()[1], ['store/links', 'Edge CRUD']);
+
+  await writeFile(join(dir, 'store.ts'), (await read(dir, 'store.ts'))
+    .replace('//#region store/nodes\n', '')
+    .replace(/(return \{ id \};\n\}\n)\/\/#endregion\n/, '$1'));
+  assert.match(run(dir, ['verify', 'store.ts', '--strict']).stdout, /AI016: Section "store\/nodes"/);
+
+  assert.match(run(dir, ['sync', 'store.ts']).stdout, /removed: "store\/nodes"/);
+  assert.deepEqual(rows(), [['store/links', 'Edge CRUD']]);
+  const result = run(dir, ['verify', 'store.ts', '--strict']);
+  assert.equal(result.status, 0, result.stdout);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { buildCompanionContent, parseCompanion, checkCompanion } from '../src/companion.mjs';
+import { fixture, run, read } from './helpers.mjs';
+
+const HAND_WRITTEN = `# store.ts
+
+Zustand store for the editor: nodes, edges and selection.
+
+## Sections
+
+| Section | Lines | Description |
+|---------|-------|-------------|
+| nodes   | 1-10  | Node CRUD, keeps ids stable |
+| edges   | 12-20 | Edge CRUD |
+| legacy  | 22-30 | Old API |
+
+## Notes
+
+Never mutate state outside set().
+`;
+
+test('re-sync replaces only the table and keeps hand-written descriptions', () => {
+  const sections = [
+    { name: 'nodes', line: 3, end: 14, desc: 'Detected' },
+    { name: 'edges', line: 16, end: 25, desc: '' },
+    { name: 'selection', line: 27, end: 40, desc: 'Selection state' },
+  ];
+  const result = buildCompanionContent('store.ts', sections, HAND_WRITTEN);
+  const parsed = parseCompanion(result.content);
+
+  assert.equal(parsed.description, 'Zustand store for the editor: nodes, edges and selection.');
+  assert.equal(parsed.notes, 'Never mutate state outside set().');
+  assert.deepEqual(parsed.sections.map(s => [s.name, s.line, s.end, s.desc]), [
+    ['nodes', 3, 14, 'Node CRUD, keeps ids stable'],
+    ['edges', 16, 25, 'Edge CRUD'],
+    ['selection', 27, 40, 'Selection state'],
+  ]);
+  assert.deepEqual(result.added, ['selection']);
+  assert.deepEqual(result.removed, ['legacy']);
+  assert.ok(result.content.startsWith('# store.ts\n\nZustand store'));
+  assert.ok(result.content.endsWith('## Notes\n\nNever mutate state outside set().\n'));
+});
+
+test('re-sync with the same sections is a no-op', () => {
+  const sections = parseCompanion(HAND_WRITTEN).sections.map(({ name, line, end }) => ({ name, line, end, desc: '' }));
+  const first = buildCompanionContent('store.ts', sections, HAND_WRITTEN).content;
+  assert.equal(buildCompanionContent('store.ts', sections, first).content, first);
+});
+
+test('a companion without a Sections heading gets one before the first ## heading', () => {
+  const existing = '# api.ts\n\nREST client.\n\n## Notes\n\nRetries twice.\n';
+  const { content } = buildCompanionContent('api.ts', [{ name: 'main', line: 1, end: 9, desc: '' }], existing);
+
+  assert.equal(content, '# api.ts\n\nREST client.\n\n## Sections\n\n' +
+    '| Section | Lines | Description |\n|---------|-------|-------------|\n| main    | 1-9   |             |\n\n' +
+    '## Notes\n\nRetries twice.\n');
+});
+
+test('companion command keeps hand-written text across re-runs', async (t) => {
+  const source = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+  const dir = await fixture(t, { 'util.ts': source });
+
+  assert.equal(run(dir, ['companion', 'util.ts', '--companion-only']).status, 0);
+  const created = await read(dir, 'util.ts.ai.md');
+  assert.match(created, /^# util\.ts\n\n## Sections\n/);
+
+  await writeFile(join(dir, 'util.ts.ai.md'), created
+    .replace('# util.ts\n', '# util.ts\n\nMath helpers.\n')
+    .replace(/(\| function\/one +\| [\d-]+ +\|) +\|/, '$1 Returns one |') + '\n## Notes\n\nPure functions only.\n');
+  await writeFile(join(dir, 'util.ts'), `import { x } from 'x';\n\n${source}`);
+
+  assert.equal(run(dir, ['companion', 'util.ts', '--companion-only']).status, 0);
+  const synced = parseCompanion(await read(dir, 'util.ts.ai.md'));
+  assert.equal(synced.description, 'Math helpers.');
+  assert.equal(synced.notes, 'Pure functions only.');
+  assert.equal(synced.sections.find(s => s.name === 'function/one').desc, 'Returns one');
+  assert.equal(synced.sections.find(s => s.name === 'function/one').line, 3);
+});
+
+test('companion re-syncs the embedded header without dropping hashes or tokens', async (t) => {
+  const source = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+  const dir = await fixture(t, { 'util.ts': source });
+
+  assert.equal(run(dir, ['generate', 'util.ts', '--hash', '--tokens']).status, 0);
+  assert.match(await read(dir, 'util.ts'), /@tokens/);
+  await writeFile(join(dir, 'util.ts'), (await read(dir, 'util.ts')).replace('return 2;', 'return 3;'));
+
+  assert.equal(run(dir, ['companion', 'util.ts']).status, 0);
+  const indexed = await read(dir, 'util.ts');
+  assert.match(indexed, /@tokens/);
+  const changed = JSON.parse(run(dir, ['changed', 'util.ts', '--json']).stdout)[0].sections;
+  assert.deepEqual(changed.map(s => [s.name, s.status]), [['function/two', 'changed']]);
+});
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+test('checkCompanion accepts ranges within the tolerance', () => {
+  const sections = [{ name: 'a', line: 1, end: 10, row: 8 }, { name: 'b', line: 12, end: 20, row: 9 }];
+  assert.deepEqual(checkCompanion(sections, { a: { line: 3, end: 12 }, b: { line: 12, end: 20 } }, 20), []);
+});
+
+test('checkCompanion reports missing and unknown sections (AI009, AI010)', () => {
+  const issues = checkCompanion([{ name: 'old', line: 1, end: 5, row: 8 }], { fresh: { line: 1, end: 5 } }, 10);
+
+  assert.deepEqual(codes(issues), ['AI009', 'AI010']);
+  assert.match(issues[0].message, /"fresh" \(line 1\) is missing/);
+  assert.equal(issues[1].line, 8);
+});
+
+test('checkCompanion reports drifted, overlapping and out-of-file ranges (AI011-AI013)', () => {
+  const sections = [
+    { name: 'a', line: 1, end: 10, row: 8 },
+    { name: 'b', line: 8, end: 30, row: 9 },
+  ];
+  const issues = checkCompanion(sections, { a: { line: 1, end: 10 }, b: { line: 20, end: 25 } }, 25, { tolerance: 2 });
+
+  assert.deepEqual(codes(issues), ['AI013', 'AI011', 'AI012']);
+  assert.match(issues[1].message, /"b": says 8-30, actual is 20-25/);
+  assert.ok(issues.every(issue => issue.line === 9));
+  assert.equal(checkCompanion(sections, { a: { line: 1, end: 10 }, b: { line: 8, end: 30 } }, 30)[0].code, 'AI012');
+});
+
+test('verify reports stale and orphan companions (AI011, AI014)', async (t) => {
+  const source = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+  const dir = await fixture(t, { 'util.ts': source, 'gone.ts.ai.md': '# gone.ts\n' });
+
+  assert.equal(run(dir, ['companion', 'util.ts', '--companion-only']).status, 0);
+  assert.equal(run(dir, ['verify', 'util.ts']).status, 0);
+
+  await writeFile(join(dir, 'util.ts'), '\n'.repeat(10) + source);
+  const stale = run(dir, ['verify', 'util.ts']);
+  assert.equal(stale.status, 1);
+  assert.match(stale.stdout, /AI011: Companion util\.ts\.ai\.md: Section "function\/two": says 5-7, actual is 15-17/);
+
+  const orphan = run(dir, ['verify', '.']);
+  assert.match(orphan.stdout, /gone\.ts\.ai\.md: 1 issue\(s\)\n\s+- warning AI014/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixture, run, read } from './helpers.mjs';
+
+const source = (name) => `// License MIT\n\nexport function ${name}() {\n  return 1;\n}\n`;
+const indexed = (content) => content.includes('@ai-index');
+const withConfig = (dir, args) => run(dir, args, { config: true });
+
+test('include and exclude pick the walked files, explicit files are always kept', async (t) => {
+  const dir = await fixture(t, {
+    '.ai-indexrc.json': JSON.stringify({ include: ['src/**'], exclude: ['src/gen/**', '**/*.test.ts'] }),
+    'src/a.ts': source('a'),
+    'src/a.test.ts': source('t'),
+    'src/gen/b.ts': source('b'),
+    'lib/c.ts': source('c'),
+  });
+
+  assert.equal(withConfig(dir, ['generate', '.']).status, 0);
+  assert.ok(indexed(await read(dir, 'src/a.ts')));
+  assert.ok(!indexed(await read(dir, 'src/a.test.ts')));
+  assert.ok(!indexed(await read(dir, 'src/gen/b.ts')));
+  assert.ok(!indexed(await read(dir, 'lib/c.ts')));
+
+  assert.equal(withConfig(dir, ['generate', 'lib/c.ts']).status, 0);
+  assert.ok(indexed(await read(dir, 'lib/c.ts')));
+});
+
+test('overrides apply in order on top of the top-level settings', async (t) => {
+  const dir = await fixture(t, {
+    '.ai-indexrc.json': JSON.stringify({
+      minLines: 100,
+      descriptions: { 'function/a': 'Top level', 'function/b': 'Top level' },
+      overrides: [
+        { files: 'src/**', minLines: 0, descriptions: { 'function/a': 'From src/**' } },
+        { files: 'src/b.ts', minLines: 50 },
+      ],
+    }),
+    'top.ts': source('top'),
+    'src/a.ts': source('a'),
+    'src/b.ts': source('b'),
+  });
+
+  assert.equal(withConfig(dir, ['generate', '.']).status, 0);
+  assert.ok(!indexed(await read(dir, 'top.ts')));
+  assert.ok(!indexed(await read(dir, 'src/b.ts')));
+  assert.match(await read(dir, 'src/a.ts'), /function\/a .*\| From src\/\*\* /);
+});
+
+test('command-line options beat the config', async (t) => {
+  const dir = await fixture(t, {
+    '.ai-indexrc.json': JSON.stringify({ minLines: 100, header: { placement: 'after-comments' } }),
+    'a.ts': source('a'),
+    'b.ts': source('b'),
+  });
+
+  assert.equal(withConfig(dir, ['generate', 'a.ts', 'b.ts']).status, 0);
+  assert.ok(!indexed(await read(dir, 'a.ts')));
+
+  assert.equal(withConfig(dir, ['generate', 'a.ts', '--min-lines=1']).status, 0);
+  assert.ok((await read(dir, 'a.ts')).startsWith('// License MIT\n\n/**\n * @ai-index'));
+
+  assert.equal(withConfig(dir, ['generate', 'b.ts', '--min-lines=1', '--placement=top']).status, 0);
+  assert.ok((await read(dir, 'b.ts')).startsWith('/**\n * @ai-index'));
+});
+
+test('a broken config is a usage error', async (t) => {
+  const dir = await fixture(t, { '.ai-indexrc.json': '{ "minLines": -1 }', 'a.ts': source('a') });
+
+  const result = withConfig(dir, ['generate', 'a.ts']);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /minLines: expected a whole number/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { unifiedDiff } from '../src/diff.mjs';
+import { fixture, run, read } from './helpers.mjs';
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+test('equal texts give an empty diff', () => {
+  assert.equal(unifiedDiff('a\nb\n', 'a\nb\n'), '');
+});
+
+test('changed lines with context', () => {
+  assert.equal(unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'a/f', toFile: 'b/f' }), [
+    '--- a/f',
+    '+++ b/f',
+    '@@ -1,3 +1,3 @@',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+  ].join('\n'));
+});
+
+test('missing final newline is marked on the side that lacks it', () => {
+  assert.deepEqual(unifiedDiff('a\nb', 'x\na\nb').split('\n').slice(2), [
+    '@@ -1,2 +1,3 @@',
+    '+x',
+    ' a',
+    ' b',
+    NO_NEWLINE,
+  ]);
+
+  assert.deepEqual(unifiedDiff('a\nb', 'a\nb\n').split('\n').slice(2), [
+    '@@ -1,2 +1,2 @@',
+    ' a',
+    '-b',
+    NO_NEWLINE,
+    '+b',
+  ]);
+
+  assert.deepEqual(unifiedDiff('a\nb\n', 'a\nb').split('\n').slice(2), [
+    '@@ -1,2 +1,2 @@',
+    ' a',
+    '-b',
+    '+b',
+    NO_NEWLINE,
+  ]);
+});
+
+test('--dry-run patch applies with git apply', async (t) => {
+  const files = {
+    'nonl.ts': 'export function a() {\n  return 1;\n}',
+    'nl.ts': 'export const x = 1;\n',
+  };
+  const dir = await fixture(t, files);
+
+  const result = run(dir, ['generate', '.', '--dry-run']);
+  assert.equal(result.status, 0);
+  await writeFile(join(dir, 'index.patch'), result.stdout);
+
+  const apply = spawnSync('git', ['apply', 'index.patch'], { cwd: dir, encoding: 'utf-8', timeout: 30000 });
+  assert.equal(apply.status, 0, apply.stderr);
+  assert.ok((await read(dir, 'nonl.ts')).endsWith('  return 1;\n}'));
+  assert.equal(run(dir, ['generate', '.', '--check']).status, 0);
+});
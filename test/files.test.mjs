@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, relative, sep } from 'path';
+import { globToRegExp, globBase, parseIgnoreRules, isIgnored, walk } from '../src/files.mjs';
+import { fixture } from './helpers.mjs';
+
+const BASE = '/repo';
+const ignored = (rules, path, isDirectory = false) => isIgnored(parseIgnoreRules(rules, BASE), `${BASE}/${path}`, isDirectory);
+
+test('globToRegExp: *, **/, ? and classes', () => {
+  const glob = globToRegExp('src/**/*.ts');
+  assert.ok(glob.test('src/a.ts'));
+  assert.ok(glob.test('src/deep/er/a.ts'));
+  assert.ok(!glob.test('src/a.tsx'));
+  assert.ok(!glob.test('lib/a.ts'));
+
+  assert.ok(globToRegExp('*.ts').test('a.ts'));
+  assert.ok(!globToRegExp('*.ts').test('src/a.ts'));
+  assert.ok(globToRegExp('file?.[jt]s').test('file1.js'));
+  assert.ok(!globToRegExp('file?.[!jt]s').test('file1.ts'));
+});
+
+test('globToRegExp: {a,b} alternatives, nested and escaped', () => {
+  const glob = globToRegExp('lib/*.{ts,py}');
+  assert.ok(glob.test('lib/a.ts'));
+  assert.ok(glob.test('lib/a.py'));
+  assert.ok(!glob.test('lib/a.rs'));
+
+  assert.ok(globToRegExp('{src,test/{unit,e2e}}/*.mjs').test('test/e2e/a.mjs'));
+  assert.ok(!globToRegExp('{src,test/{unit,e2e}}/*.mjs').test('test/a.mjs'));
+  assert.ok(globToRegExp('a+b(1).ts').test('a+b(1).ts'));
+  assert.ok(globToRegExp('{a.ts').test('{a.ts'));
+});
+
+test('globBase stops at the first glob segment', () => {
+  assert.equal(globBase('src/app/**/*.ts'), 'src/app');
+  assert.equal(globBase('*.ts'), '.');
+  assert.equal(globBase('/abs/{a,b}/x.ts'), '/abs');
+});
+
+test('ignore rules: unanchored names match at any depth', () => {
+  assert.ok(ignored('*.log', 'debug.log'));
+  assert.ok(ignored('*.log', 'deep/dir/debug.log'));
+  assert.ok(ignored('tmp', 'a/tmp', true));
+  assert.ok(!ignored('*.log', 'debug.log.txt'));
+});
+
+test('ignore rules: a slash anchors the pattern to the ignore file', () => {
+  assert.ok(ignored('/build', 'build', true));
+  assert.ok(!ignored('/build', 'src/build', true));
+  assert.ok(ignored('docs/*.md', 'docs/a.md'));
+  assert.ok(!ignored('docs/*.md', 'src/docs/a.md'));
+  assert.ok(!ignored('docs/*.md', 'docs/deep/a.md'));
+});
+
+test('ignore rules: **/ and trailing slash', () => {
+  assert.ok(ignored('**/generated/*.ts', 'generated/a.ts'));
+  assert.ok(ignored('**/generated/*.ts', 'a/b/generated/a.ts'));
+  assert.ok(ignored('src/**/fixtures', 'src/x/y/fixtures', true));
+  assert.ok(ignored('cache/', 'a/cache', true));
+  assert.ok(!ignored('cache/', 'a/cache', false));
+});
+
+test('ignore rules: negation, escapes and comments; the last match wins', () => {
+  const rules = '# logs\n*.log\n!keep.log\n\\#notes\n\\!bang\n';
+  assert.ok(ignored(rules, 'a.log'));
+  assert.ok(!ignored(rules, 'keep.log'));
+  assert.ok(!ignored(rules, 'sub/keep.log'));
+  assert.ok(ignored(rules, '#notes'));
+  assert.ok(ignored(rules, '!bang'));
+  assert.ok(ignored('!keep.log\n*.log', 'keep.log'));
+  assert.ok(!ignored(rules, '# logs'));
+});
+
+test('ignore rules: paths outside the base are not matched', () => {
+  assert.ok(!isIgnored(parseIgnoreRules('*.ts', '/repo/sub'), '/repo/a.ts', false));
+});
+
+test('walk keeps generic output names unless an ignore file lists them', async (t) => {
+  const dir = await fixture(t, {
+    'src/out/c.ts': 'export const c = 1;\n',
+    'src/build/b.ts': 'export const b = 1;\n',
+    'src/node_modules/x/index.js': 'module.exports = 1;\n',
+    'src/a.min.js': 'x',
+    'dist/.gitignore': '*\n!keep.ts\n',
+    'dist/drop.ts': 'x',
+    'dist/keep.ts': 'x',
+    'lib/.gitignore': '/gen/\n',
+    'lib/gen/g.ts': 'x',
+    'lib/sub/gen/g.ts': 'x',
+  });
+  const names = (files) => files.map(file => relative(dir, file).split(sep).join('/'));
+
+  assert.deepEqual(names(await walk(join(dir, 'src'))), ['src/build/b.ts', 'src/out/c.ts']);
+  assert.deepEqual(names(await walk(dir, { filter: (file) => file.endsWith('.ts') })), [
+    'dist/keep.ts', 'lib/sub/gen/g.ts', 'src/build/b.ts', 'src/out/c.ts',
+  ]);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile, readFile, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { git, openGitIndex, installHook, uninstallHook } from '../src/git.mjs';
+import { repository } from './helpers.mjs';
+
+const staged = (dir, path) => git(['show', `:${path}`], { cwd: dir });
+
+test('write updates the index and the working tree of a fully staged file', async (t) => {
+  const dir = await repository(t, { 'a.ts': 'one\n' });
+  await writeFile(join(dir, 'a.ts'), 'two\n');
+  await git(['add', 'a.ts'], { cwd: dir });
+
+  const index = await openGitIndex(dir);
+  assert.equal(await index.read(join(dir, 'a.ts')), 'two\n');
+  assert.deepEqual(await index.write(join(dir, 'a.ts'), 'two\n', 'three\n'), { staged: true, workingTree: true });
+
+  assert.equal(await staged(dir, 'a.ts'), 'three\n');
+  assert.equal(await readFile(join(dir, 'a.ts'), 'utf-8'), 'three\n');
+});
+
+test('write keeps unstaged changes of a partially staged file', async (t) => {
+  const dir = await repository(t, { 'a.ts': 'one\n' });
+  await writeFile(join(dir, 'a.ts'), 'staged\n');
+  await git(['add', 'a.ts'], { cwd: dir });
+  await writeFile(join(dir, 'a.ts'), 'staged\nunstaged\n');
+
+  const index = await openGitIndex(dir);
+  const before = await index.read(join(dir, 'a.ts'));
+  assert.equal(before, 'staged\n');
+  assert.deepEqual(await index.write(join(dir, 'a.ts'), before, 'indexed\nstaged\n'), { staged: true, workingTree: false });
+
+  assert.equal(await staged(dir, 'a.ts'), 'indexed\nstaged\n');
+  assert.equal(await readFile(join(dir, 'a.ts'), 'utf-8'), 'staged\nunstaged\n');
+  // The mode of the entry is kept
+  assert.match(await git(['ls-files', '--stage', 'a.ts'], { cwd: dir }), /^100644 /);
+});
+
+test('files that are not in the index are read and written in the working tree', async (t) => {
+  const dir = await repository(t, { 'a.ts': 'one\n' });
+  await writeFile(join(dir, 'new.ts'), 'new\n');
+
+  const index = await openGitIndex(dir);
+  assert.equal(await index.entry(join(dir, 'new.ts')), null);
+  assert.equal(await index.read(join(dir, 'new.ts')), 'new\n');
+  assert.deepEqual(await index.write(join(dir, 'new.ts'), 'new\n', 'newer\n'), { staged: false, workingTree: true });
+  assert.equal(await readFile(join(dir, 'new.ts'), 'utf-8'), 'newer\n');
+});
+
+test('installHook and uninstallHook leave the rest of an existing hook alone', async (t) => {
+  const dir = await repository(t, { 'a.ts': 'one\n' });
+  const hook = join(dir, '.git', 'hooks', 'pre-commit');
+  const original = '#!/bin/sh\nnpm run lint\n';
+  await writeFile(hook, original);
+
+  assert.equal((await installHook(dir)).action, 'updated');
+  const installed = await readFile(hook, 'utf-8');
+  assert.ok(installed.startsWith(`${original}\n# >>> ai-index >>>\n`));
+  assert.ok(installed.endsWith('# <<< ai-index <<<\n'));
+  assert.ok((await stat(hook)).mode & 0o100);
+
+  assert.equal((await installHook(dir)).action, 'unchanged');
+  await writeFile(hook, installed + 'echo after\n');
+  assert.equal((await installHook(dir)).action, 'unchanged');
+
+  assert.equal((await uninstallHook(dir)).action, 'removed');
+  assert.equal(await readFile(hook, 'utf-8'), `${original}\necho after\n`);
+  assert.equal((await uninstallHook(dir)).action, 'unchanged');
+});
+
+test('installHook creates the hook under core.hooksPath, uninstallHook deletes it', async (t) => {
+  const dir = await repository(t, { 'a.ts': 'one\n' });
+  await git(['config', 'core.hooksPath', '.githooks'], { cwd: dir });
+
+  const { path, action } = await installHook(dir);
+  assert.equal(action, 'created');
+  assert.equal(path, join(dir, '.githooks', 'pre-commit'));
+  assert.match(await readFile(path, 'utf-8'), /^#!\/bin\/sh\n# >>> ai-index >>>\n[\s\S]*sync --staged/);
+
+  assert.equal((await uninstallHook(dir)).action, 'deleted');
+  assert.ok(!existsSync(path));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIndexedContent, parseIndex, stripIndex } from '../src/header.mjs';
+import { detectSections, getLanguagePlugin } from '../src/engine.mjs';
+
+const python = getLanguagePlugin('module.py');
+const detect = (body) => detectSections(body, python);
+
+function index(content) {
+  return buildIndexedContent(content, 'docstring', detect).content;
+}
+
+test('docstring header goes after the module docstring and future imports', () => {
+  const content = '"""Module doc."""\nfrom __future__ import annotations\n\nimport os\n\n\ndef f():\n    return os\n';
+  const indexed = index(content);
+  const lines = indexed.split('\n');
+
+  assert.equal(lines[0], '"""Module doc."""');
+  assert.equal(lines[1], 'from __future__ import annotations');
+  assert.ok(lines.indexOf('@ai-index') > 2);
+  assert.equal(stripIndex(indexed, parseIndex(indexed, 'docstring')), content);
+});
+
+test('future imports in parentheses and after comments stay first', () => {
+  const content = '#!/usr/bin/env python3\n# License\nfrom __future__ import (\n    annotations,\n)\nimport os\n';
+  const indexed = index(content);
+
+  assert.ok(indexed.startsWith('#!/usr/bin/env python3\n# License\nfrom __future__ import (\n    annotations,\n)\n"""\n@ai-index'));
+});
+
+test('file without a docstring gets the header on top', () => {
+  const indexed = index('import os\n');
+  assert.ok(indexed.startsWith('"""\n@ai-index'));
+});
+
+test('re-indexing a Python file is a no-op', () => {
+  for (const content of [
+    '"""Doc."""\n\n\nimport os\n',
+    '"""Doc."""\nfrom __future__ import annotations\n\nimport os\n',
+    'from __future__ import annotations\nimport os\n',
+  ]) {
+    const indexed = index(content);
+    assert.equal(index(indexed), indexed);
+  }
+});
+
+test('a section the header would split ends above it or moves below it', () => {
+  const indexed = index('"""Doc."""\nfrom __future__ import annotations\nimport os\n\n\ndef f():\n    return os\n');
+  const { sections, endLine } = parseIndex(indexed, 'docstring');
+
+  assert.deepEqual([sections.imports.line, sections.imports.end], [2, 2]);
+  assert.ok(sections['def/f'].line > endLine);
+
+  const ts = getLanguagePlugin('module.ts');
+  const content = '// License MIT\n\n// Adds one\nexport function one() {\n  return 1;\n}\n';
+  const withComments = buildIndexedContent(content, 'jsdoc', (body) => detectSections(body, ts), { placement: 'after-comments' }).content;
+  const header = parseIndex(withComments, 'jsdoc');
+
+  assert.ok(withComments.startsWith('// License MIT\n\n/**\n * @ai-index'));
+  assert.equal(header.sections['function/one'].line, header.endLine + 2);
+  assert.equal(withComments.split('\n')[header.endLine + 1], '// Adds one');
+});
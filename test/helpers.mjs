@@ -0,0 +1,96 @@
+/**
+ * Shared helpers for the CLI, scanner and MCP server tests
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { register } from 'module';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+export const CLI = fileURLToPath(new URL('../bin/ai-index.mjs', import.meta.url));
+
+/**
+ * Temporary directory with the given files (path → content), removed after the test
+ */
+export async function fixture(t, files = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'ai-index-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(dirname(join(dir, path)), { recursive: true });
+    await writeFile(join(dir, path), content);
+  }
+  return dir;
+}
+
+/**
+ * Run the CLI in `cwd` without project configs from above the fixture
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.config] - Let the CLI load the fixture's own config
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+export function run(cwd, args, options = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args, ...(options.config ? [] : ['--no-config'])], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 30000,
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+export function read(dir, path) {
+  return readFile(join(dir, path), 'utf-8');
+}
+
+/**
+ * Temporary git repository with the given files committed
+ *
+ * The user's git config (core.hooksPath, signing, templates) is kept out,
+ * here and in the processes the tests start.
+ */
+export async function repository(t, files = {}) {
+  process.env.GIT_CONFIG_GLOBAL = '/dev/null';
+  process.env.GIT_CONFIG_NOSYSTEM = '1';
+  for (const name of Object.keys(process.env)) {
+    if (/^GIT_CONFIG_(?:COUNT|KEY_\d+|VALUE_\d+|PARAMETERS)$/.test(name)) delete process.env[name];
+  }
+
+  const dir = await fixture(t, files);
+  const git = (...args) => spawnSync('git', args, { cwd: dir, encoding: 'utf-8', timeout: 30000 });
+  git('init', '-q');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'Test');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+  return dir;
+}
+
+const SDK = new URL('./mcp-sdk.mjs', import.meta.url).href;
+
+/**
+ * Load the MCP server on top of the stand-in SDK (mcp-sdk.mjs)
+ *
+ * The server reads its arguments when it is imported, so this works once
+ * per test file.
+ *
+ * @returns {Promise<{ server, request: Function, callTool: Function }>}
+ */
+export async function startMcpServer(args) {
+  const hooks = `export async function resolve(specifier, context, next) {
+    return specifier.startsWith('@modelcontextprotocol/sdk/') ? { url: ${JSON.stringify(SDK)}, shortCircuit: true } : next(specifier, context);
+  }`;
+  register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+  process.argv.push(...args);
+  await import('../src/mcp-server.mjs');
+
+  const { servers } = await import(SDK);
+  const server = servers.at(-1);
+  const request = (method, params = {}) => server.handlers.get(method)({ method, params });
+  const callTool = async (name, args = {}) => {
+    const result = await request('tools/call', { name, arguments: args });
+    return JSON.parse(result.content[0].text);
+  };
+  return { server, request, callTool };
+}
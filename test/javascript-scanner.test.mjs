@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanJsSections } from '../src/scanners/javascript.mjs';
+
+const names = (sections) => sections.map(s => `${s.name}:${s.line}-${s.end}`);
+
+test('one section per top-level declaration', () => {
+  const source = [
+    "import { a } from 'a';",
+    "import b from 'b';",
+    '',
+    '/** Create a store */',
+    'export function createStore() {',
+    '  return {};',
+    '}',
+    '',
+    'export interface Props {',
+    '  id: string;',
+    '}',
+    '',
+    'export type Id = string | number;',
+    'export const enum Color { Red }',
+    "export const API = '/api';",
+    '',
+    'export { createStore as create };',
+    'export default API;',
+  ].join('\n');
+
+  assert.deepEqual(names(scanJsSections(source)), [
+    'imports:1-2',
+    'function/createStore:4-7',
+    'interface/Props:9-11',
+    'type/Id:13-13',
+    'enum/Color:14-14',
+    'const/API:15-15',
+    'exports:17-17',
+    'default:18-18',
+  ]);
+});
+
+test('decorators, overloads, private bindings and braces in strings and regexes', () => {
+  const source = [
+    'export function parse(x: string): number;',
+    'export function parse(x: any) {',
+    '  return Number(x);',
+    '}',
+    '',
+    "@Component({ selector: 'x' })",
+    'export class Widget {',
+    '  render() {',
+    '    const re = /}/g;',
+    '    return `}${re}` + "}";',
+    '  }',
+    '}',
+    '',
+    'export const after = 1;',
+    'const hidden = 2;',
+    'const inc = (n) => n + 1;',
+  ].join('\n');
+
+  assert.deepEqual(names(scanJsSections(source)), [
+    'function/parse:1-4',
+    'class/Widget:6-12',
+    'const/after:14-14',
+    'const/inc:16-16',
+  ]);
+});
+
+test('repeated names get a numeric suffix', () => {
+  const source = 'function helper() {}\nexport const x = 1;\nfunction helper() {}\n';
+
+  assert.deepEqual(scanJsSections(source).map(s => s.name), ['function/helper', 'const/x', 'function/helper (2)']);
+});
+
+test('comments separated by a blank line are not attached', () => {
+  const source = '// File header\n\n// Adds one\nfunction inc(n) {\n  return n + 1;\n}\n';
+
+  assert.deepEqual(names(scanJsSections(source)), ['function/inc:3-6']);
+});
+
+test('class members on request: methods, accessors, overloads and arrow fields', () => {
+  const source = [
+    'export class Store<T extends { id: string }> extends Base<{ a: 1 }> {',
+    '  private items: T[] = [];',
+    '',
+    '  constructor(private api: Api) {',
+    '    super();',
+    '  }',
+    '',
+    '  /** Add one */',
+    '  add(item: T): void;',
+    '  add(item: T, at?: number) {',
+    '    this.items.push(item);',
+    '  }',
+    '',
+    '  @Memo()',
+    '  get size() {',
+    '    return this.items.length;',
+    '  }',
+    '',
+    '  static async *all() {}',
+    '  #hidden() { return `${this.items}`; }',
+    '  handle = (event) => this.add(event);',
+    '  get() { return 1; }',
+    '}',
+  ].join('\n');
+
+  assert.deepEqual(names(scanJsSections(source)), ['class/Store:1-23']);
+  assert.deepEqual(names(scanJsSections(source, { members: true })), [
+    'class/Store:1-23',
+    'class/Store/constructor:4-6',
+    'class/Store/add:8-12',
+    'class/Store/size:14-17',
+    'class/Store/all:19-19',
+    'class/Store/#hidden:20-20',
+    'class/Store/handle:21-21',
+    'class/Store/get:22-22',
+  ]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { findConfigFile } from '../src/config.mjs';
+import { findManifest, readSidecarEntry, hashContent } from '../src/sidecar.mjs';
+import { fixture } from './helpers.mjs';
+
+const SOURCE = 'export const a = 1;\n';
+
+test('manifest and config lookups stop where `within` says', async (t) => {
+  const manifest = { version: 1, files: [{ path: 'root/a.ts', totalLines: 2, hash: hashContent(SOURCE), sections: [] }] };
+  const dir = await fixture(t, {
+    '.ai-index.json': JSON.stringify(manifest),
+    '.ai-indexrc.json': '{}',
+    'root/a.ts': SOURCE,
+  });
+  const root = join(dir, 'root');
+  const within = (path) => path.startsWith(root);
+
+  assert.equal(findManifest(root), join(dir, '.ai-index.json'));
+  assert.equal(findManifest(root, within), null);
+  assert.equal(findConfigFile(root), join(dir, '.ai-indexrc.json'));
+  assert.equal(findConfigFile(root, within), null);
+
+  assert.equal((await readSidecarEntry(join(root, 'a.ts'), SOURCE)).fresh, true);
+  assert.equal(await readSidecarEntry(join(root, 'a.ts'), SOURCE, { within }), null);
+});
+
+test('readSidecarEntry reads the manifest through `read`', async (t) => {
+  const manifest = { version: 1, files: [{ path: 'a.ts', totalLines: 2, hash: hashContent(SOURCE), sections: [] }] };
+  const dir = await fixture(t, { '.ai-index.json': JSON.stringify(manifest), 'a.ts': SOURCE });
+
+  const refused = Object.assign(new Error('outside'), { code: 'OUTSIDE_ROOT' });
+  const read = async () => { throw refused; };
+  await assert.rejects(readSidecarEntry(join(dir, 'a.ts'), SOURCE, { read }), refused);
+});
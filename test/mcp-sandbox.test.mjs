@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMcpServer } from './helpers.mjs';
+
+const MAX_FILE_SIZE = 200;
+
+let dir;
+let root;
+let mcp;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'ai-index-sandbox-'));
+  root = join(dir, 'root');
+  await mkdir(join(root, 'sub'), { recursive: true });
+  await mkdir(join(dir, 'outside'));
+
+  await writeFile(join(dir, 'outside', 'secret.ts'), 'export const secret = 1;\n');
+  await writeFile(join(root, 'app.ts'), 'export function app() {\n  return 1;\n}\n');
+  await writeFile(join(root, 'big.ts'), `export const big = '${'x'.repeat(MAX_FILE_SIZE)}';\n`);
+  await writeFile(join(root, 'blob.ts'), 'export const a = 1;\n\0\0\0\n');
+  await symlink(join(dir, 'outside', 'secret.ts'), join(root, 'sub', 'link.ts'));
+  await symlink(join(root, 'app.ts'), join(root, 'sub', 'alias.ts'));
+
+  mcp = await startMcpServer([`--root=${root}`, `--max-file-size=${MAX_FILE_SIZE}`]);
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const errorCode = async (path) => (await mcp.callTool('get_file_index', { file_path: path })).error?.code;
+
+test('symlinks are followed inside the roots only', async () => {
+  assert.equal(await errorCode(join(root, 'sub', 'link.ts')), 'OUTSIDE_ROOT');
+  assert.equal((await mcp.callTool('get_file_index', { file_path: join(root, 'sub', 'alias.ts') })).sections[0].name, 'function/app');
+});
+
+test('.. cannot climb out of a root', async () => {
+  assert.equal(await errorCode(join(root, 'sub', '..', '..', 'outside', 'secret.ts')), 'OUTSIDE_ROOT');
+  assert.equal(await errorCode(join(root, 'sub', '..', 'app.ts')), undefined);
+  // Missing files outside look the same as existing ones
+  assert.equal(await errorCode(join(root, '..', 'outside', 'missing.ts')), 'OUTSIDE_ROOT');
+  assert.equal(await errorCode(join(root, 'missing.ts')), 'NOT_FOUND');
+});
+
+test('large and binary files are refused', async () => {
+  assert.equal(await errorCode(join(root, 'big.ts')), 'FILE_TOO_LARGE');
+  assert.equal(await errorCode(join(root, 'blob.ts')), 'BINARY_FILE');
+});
+
+test('resources/list and searches skip what cannot be read', async () => {
+  const { resources } = await mcp.request('resources/list');
+  const names = resources.map(resource => resource.name);
+  assert.ok(names.includes(join(root, 'app.ts')));
+  assert.ok(names.includes(join(root, 'sub', 'alias.ts')));
+  assert.ok(!names.some(name => name.includes('link.ts')));
+
+  const { results } = await mcp.callTool('search_sections', { query: 'secret', path: root });
+  assert.deepEqual(results, []);
+  const symbols = await mcp.callTool('find_symbol', { name: 'big', path: root });
+  assert.equal(symbols.total, 0);
+});
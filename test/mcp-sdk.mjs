@@ -0,0 +1,56 @@
+/**
+ * Stand-in for @modelcontextprotocol/sdk in the MCP server tests
+ *
+ * Records the handlers the server registers so tests can call them directly.
+ */
+
+export const servers = [];
+
+export class Server {
+  constructor(info, options) {
+    this.info = info;
+    this.options = options;
+    this.handlers = new Map();
+    this.notificationHandlers = new Map();
+    this.sent = [];
+    servers.push(this);
+  }
+
+  setRequestHandler(method, handler) {
+    this.handlers.set(method, handler);
+  }
+
+  setNotificationHandler(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  getClientCapabilities() {
+    return {};
+  }
+
+  async listRoots() {
+    return { roots: [] };
+  }
+
+  async sendResourceUpdated(params) {
+    this.sent.push({ method: 'notifications/resources/updated', params });
+  }
+
+  async sendResourceListChanged() {
+    this.sent.push({ method: 'notifications/resources/list_changed' });
+  }
+
+  async connect() {}
+}
+
+export class StdioServerTransport {}
+
+export const ErrorCode = { InvalidParams: -32602, MethodNotFound: -32601, InternalError: -32603 };
+
+export class McpError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
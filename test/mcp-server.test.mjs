@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { read, run, startMcpServer } from './helpers.mjs';
+
+const FILES = {
+  'src/store.ts': 'export class Store {\n  add(item) {\n    return item;\n  }\n}\n\nexport function createStore() {\n  return new Store();\n}\n',
+  'package.json': '{\n  "name": "app",\n  "scripts": {\n    "build": "tsc",\n    "test": "node --test"\n  }\n}\n',
+};
+
+let root;
+let mcp;
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'ai-index-mcp-'));
+  for (const [path, content] of Object.entries(FILES)) {
+    await mkdir(dirname(join(root, path)), { recursive: true });
+    await writeFile(join(root, path), content);
+  }
+  mcp = await startMcpServer([`--root=${root}`]);
+});
+
+after(() => rm(root, { recursive: true, force: true }));
+
+test('read_section finds nested JSON keys at the depth they were listed at', async () => {
+  const file = join(root, 'package.json');
+  const index = await mcp.callTool('get_file_index', { file_path: file, depth: 2 });
+  assert.ok(index.sections.some(s => s.name === 'scripts/build'));
+
+  const section = await mcp.callTool('read_section', { file_path: file, section_name: 'scripts/build', depth: 2 });
+  assert.equal(section.content, '    "build": "tsc",');
+
+  const shallow = await mcp.callTool('read_section', { file_path: file, section_name: 'scripts/build' });
+  assert.match(shallow.error, /not found/);
+});
+
+test('file and section resources take ?depth=', async () => {
+  const uri = 'ai-index://section/' + encodeURIComponent(join(root, 'package.json')).replace(/%2F/g, '/');
+  const { contents } = await mcp.request('resources/read', { uri: `${uri}?depth=2#scripts%2Ftest` });
+  assert.equal(contents[0].text, '    "test": "node --test"');
+
+  const index = await mcp.request('resources/read', { uri: `${uri.replace('section', 'file')}?depth=2` });
+  assert.ok(JSON.parse(index.contents[0].text).sections.some(s => s.name === 'scripts/test'));
+});
+
+test('find_symbol finds methods of JS/TS classes', async () => {
+  const file = join(root, 'src', 'store.ts');
+  const { results } = await mcp.callTool('find_symbol', { name: 'add', path: root });
+  assert.deepEqual(results.map(r => [r.file, r.symbol, r.kind, r.lineStart, r.lineEnd]), [[file, 'Store/add', 'class', 2, 4]]);
+  assert.equal(results[0].section.name, 'class/Store');
+
+  const qualified = await mcp.callTool('find_symbol', { name: 'store/add', path: root });
+  assert.equal(qualified.total, 1);
+});
+
+test('a drifted header is stale for the same reasons verify gives', async () => {
+  const source = 'export function one() {\n  return 1;\n}\n\nexport function two() {\n  return 2;\n}\n';
+  await writeFile(join(root, 'plain.ts'), source);
+  assert.equal(run(root, ['generate', 'plain.ts']).status, 0);
+  const imports = Array.from({ length: 6 }, (_, i) => `import { m${i} } from 'm${i}';\n`).join('');
+  await writeFile(join(root, 'plain.ts'), (await read(root, 'plain.ts')).replace('export function one', `${imports}\nexport function one`));
+
+  const index = await mcp.callTool('get_file_index', { file_path: join(root, 'plain.ts') });
+  const verify = run(root, ['verify', 'plain.ts']).stdout.match(/AI\d{3}: .*/g);
+  assert.equal(index.stale, true);
+  assert.deepEqual(index.staleReasons, verify);
+});
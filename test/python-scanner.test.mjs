@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanPythonSections, LARGE_CLASS_LINES } from '../src/scanners/python.mjs';
+
+const names = (sections) => sections.map(s => `${s.name}:${s.line}-${s.end}`);
+
+test('one section per top-level definition, imports and main guard', () => {
+  const source = [
+    'import os',
+    'from typing import (',
+    '    List,',
+    ')',
+    '',
+    'CONSTANT = 1',
+    '',
+    '',
+    '# Helper comment',
+    '@decorator',
+    'def helper(x: str = "def fake():") -> List[str]:',
+    '    """Docstring with def inside."""',
+    '    return [x]',
+    '',
+    '',
+    'class Store:',
+    '    def add(self, item):',
+    '        return item',
+    '',
+    '',
+    'async def run():',
+    '    pass',
+    '',
+    '',
+    'if __name__ == "__main__":',
+    '    run()',
+  ].join('\n');
+
+  assert.deepEqual(names(scanPythonSections(source)), [
+    'imports:1-4',
+    'def/helper:9-13',
+    'class/Store:16-18',
+    'def/run:21-22',
+    'main:25-26',
+  ]);
+});
+
+test('repeated names get a numeric suffix', () => {
+  const source = 'def a():\n    pass\n\nclass B:\n    pass\n\ndef a():\n    pass\n';
+
+  assert.deepEqual(scanPythonSections(source).map(s => s.name), ['def/a', 'class/B', 'def/a (2)']);
+});
+
+test(`classes of ${LARGE_CLASS_LINES}+ lines list their methods`, () => {
+  const methods = Array.from({ length: 60 }, (_, i) => `    def m${i}(self):\n        pass\n`);
+  const sections = scanPythonSections(['class Big:', ...methods].join('\n'));
+
+  assert.deepEqual(sections.slice(0, 3).map(s => [s.name, s.line, s.end, s.depth]), [
+    ['class/Big', 1, 180, 0],
+    ['class/Big/m0', 2, 3, 1],
+    ['class/Big/m1', 5, 6, 1],
+  ]);
+  assert.equal(sections.length, 61);
+});
+
+test('small classes do not list their methods', () => {
+  const sections = scanPythonSections('class Small:\n    def m(self):\n        pass\n');
+
+  assert.deepEqual(sections.map(s => s.name), ['class/Small']);
+});
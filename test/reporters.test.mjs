@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { formatReport } from '../src/reporters.mjs';
+
+const RESULTS = [
+  {
+    file: join(process.cwd(), 'src/store.ts'),
+    valid: false,
+    issues: [
+      { code: 'AI004', severity: 'error', message: 'Section "a<b>": index says line 3, actual is 9', line: 12 },
+      { code: 'AI003', severity: 'warning', message: '50% done\nnext & "more"', line: 20 },
+    ],
+  },
+  {
+    file: join(process.cwd(), 'docs/a,b:c.py'),
+    valid: true,
+    issues: [{ code: 'AI008', severity: 'warning', message: 'File changed since it was indexed', line: 1 }],
+  },
+  { file: join(process.cwd(), 'big.json'), skipped: true, reason: 'below-threshold' },
+];
+
+const location = (uri, startLine) => [{ physicalLocation: { artifactLocation: { uri }, region: { startLine } } }];
+
+test('json report', () => {
+  const report = JSON.parse(formatReport(RESULTS, 'json'));
+
+  assert.deepEqual(report.files.map(f => [f.file, f.status, f.issues.length]), [
+    ['src/store.ts', 'invalid', 2],
+    ['docs/a,b:c.py', 'valid', 1],
+    ['big.json', 'skipped', 0],
+  ]);
+  assert.deepEqual(report.files[0].issues[1], {
+    code: 'AI003', severity: 'warning', message: '50% done\nnext & "more"', line: 20, file: 'src/store.ts',
+  });
+  assert.deepEqual(report.summary, { files: 3, skipped: 1, errors: 1, warnings: 2 });
+});
+
+test('sarif report', () => {
+  const report = JSON.parse(formatReport(RESULTS, 'sarif'));
+
+  assert.equal(report.version, '2.1.0');
+  assert.equal(report.runs.length, 1);
+  assert.deepEqual(report.runs[0].tool.driver.rules, [
+    { id: 'AI003', shortDescription: { text: 'Region in code but not in index' }, defaultConfiguration: { level: 'warning' } },
+    { id: 'AI004', shortDescription: { text: 'Index line differs from the region marker or declaration' }, defaultConfiguration: { level: 'error' } },
+    { id: 'AI008', shortDescription: { text: 'File changed since it was indexed' }, defaultConfiguration: { level: 'warning' } },
+  ]);
+  assert.deepEqual(report.runs[0].results, [
+    { ruleId: 'AI004', level: 'error', message: { text: 'Section "a<b>": index says line 3, actual is 9' }, locations: location('src/store.ts', 12) },
+    { ruleId: 'AI003', level: 'warning', message: { text: '50% done\nnext & "more"' }, locations: location('src/store.ts', 20) },
+    { ruleId: 'AI008', level: 'warning', message: { text: 'File changed since it was indexed' }, locations: location('docs/a,b:c.py', 1) },
+  ]);
+});
+
+test('junit report escapes XML', () => {
+  assert.equal(formatReport(RESULTS, 'junit'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites name="ai-index" tests="3" failures="1" skipped="1">',
+    '  <testsuite name="ai-index verify" tests="3" failures="1" skipped="1">',
+    '    <testcase classname="ai-index.verify" name="src/store.ts">',
+    '      <failure message="Section &quot;a&lt;b&gt;&quot;: index says line 3, actual is 9" type="AI004">' +
+      'AI004 line 12: Section &quot;a&lt;b&gt;&quot;: index says line 3, actual is 9</failure>',
+    '      <system-out>warning AI003 line 20: 50% done',
+    'next &amp; &quot;more&quot;</system-out>',
+    '    </testcase>',
+    '    <testcase classname="ai-index.verify" name="docs/a,b:c.py">',
+    '      <system-out>warning AI008 line 1: File changed since it was indexed</system-out>',
+    '    </testcase>',
+    '    <testcase classname="ai-index.verify" name="big.json"><skipped/></testcase>',
+    '  </testsuite>',
+    '</testsuites>',
+  ].join('\n'));
+});
+
+test('github report escapes workflow command data and properties', () => {
+  assert.equal(formatReport(RESULTS, 'github'), [
+    '::error file=src/store.ts,line=12,title=ai-index AI004::Section "a<b>": index says line 3, actual is 9',
+    '::warning file=src/store.ts,line=20,title=ai-index AI003::50%25 done%0Anext & "more"',
+    '::warning file=docs/a%2Cb%3Ac.py,line=1,title=ai-index AI008::File changed since it was indexed',
+  ].join('\n'));
+});
+
+test('unknown reporter throws', () => {
+  assert.throws(() => formatReport(RESULTS, 'text'), /Unknown reporter: text/);
+});